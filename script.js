@@ -12,16 +12,225 @@ const CONFIG = {
         width: 600,
         height: 400,
         nodeRadius: 25,
-        edgeWidth: 3
+        edgeWidth: 3,
+        minScale: 0.1,
+        maxScale: 4,
+        minimapSize: 140,
+        parallelEdgeSpacing: 18
+    },
+    // Node colors used when replaying recorded steps
+    ALGORITHM_COLORS: {
+        DFS: '#27ae60',
+        BFS: '#3498db',
+        Dijkstra: '#9b59b6',
+        TopoKahn: '#e67e22',
+        TopoDFS: '#16a085',
+        LongestPath: '#d35400',
+        Cycle: '#34495e',
+        Bridges: '#1abc9c',
+        Kruskal: '#e1b12c',
+        Prim: '#44bd32',
+        BellmanFord: '#e17055',
+        FloydWarshall: '#0984e3',
+        EdmondsKarp: '#00b894',
+        Dinic: '#6c5ce7',
+        Euler: '#ff7675',
+        HamiltonianPath: '#a29bfe',
+        HamiltonianCycle: '#a29bfe',
+        frontier: '#f39c12',
+        cycle: '#e74c3c',
+        articulation: '#e84393',
+        mst: '#fbc531',
+        augment: '#fdcb6e',
+        level: '#74b9ff',
+        sourceSide: '#00cec9',
+        sinkSide: '#fd79a8'
+    },
+    // One color per component, reused cyclically when there are more
+    COMPONENT_COLORS: ['#27ae60', '#3498db', '#9b59b6', '#e67e22', '#1abc9c', '#e84393', '#f1c40f', '#95a5a6'],
+    // Result panel titles for algorithms whose key is not a readable name
+    ALGORITHM_LABELS: {
+        TopoKahn: 'Topological Sort (Kahn)',
+        TopoDFS: 'Topological Sort (DFS)',
+        LongestPath: 'Longest Path (DAG)',
+        Cycle: 'Cycle Detection',
+        Components: 'Connected Components',
+        Tarjan: 'Strongly Connected Components (Tarjan)',
+        Kosaraju: 'Strongly Connected Components (Kosaraju)',
+        Bridges: 'Bridges & Articulation Points',
+        Kruskal: 'Minimum Spanning Tree (Kruskal)',
+        Prim: 'Minimum Spanning Tree (Prim)',
+        BellmanFord: 'Shortest Paths (Bellman–Ford)',
+        FloydWarshall: 'All-Pairs Shortest Paths (Floyd–Warshall)',
+        EdmondsKarp: 'Maximum Flow (Edmonds–Karp)',
+        Dinic: 'Maximum Flow (Dinic)',
+        Bipartite: 'Bipartiteness Check (BFS 2-coloring)',
+        GreedyColoring: 'Greedy Coloring (natural order)',
+        LargestFirst: 'Greedy Coloring (largest first)',
+        DSatur: 'Greedy Coloring (DSatur)',
+        ExactColoring: 'Exact Coloring (backtracking)',
+        Euler: 'Eulerian Path/Circuit (Hierholzer)',
+        HamiltonianPath: 'Hamiltonian Path (backtracking)',
+        HamiltonianCycle: 'Hamiltonian Cycle (backtracking)'
+    },
+    // What the per-vertex badge shows; disc/low unless listed here
+    ANNOTATION_LABELS: {
+        Kosaraju: 'disc/finish',
+        Kruskal: 'parent/rank',
+        Dinic: 'level',
+        DSatur: 'saturation',
+        Euler: 'degree (in/out)'
     }
 };
 
+// ===== UTILITIES =====
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    // Revoking right away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// Drains a step generator, returning its recorded events plus the final result
+function collectSteps(generator) {
+    const steps = [];
+    let next = generator.next();
+    
+    while (!next.done) {
+        steps.push(next.value);
+        next = generator.next();
+    }
+    
+    return { ...next.value, steps };
+}
+
+// ===== PRIORITY QUEUE =====
+// Indexed binary min-heap: O(log n) insert, extractMin and decreaseKey
+class PriorityQueue {
+    constructor() {
+        this.heap = [];
+        this.positions = new Map();
+    }
+
+    get size() {
+        return this.heap.length;
+    }
+
+    isEmpty() {
+        return this.heap.length === 0;
+    }
+
+    has(key) {
+        return this.positions.has(key);
+    }
+
+    getPriority(key) {
+        const index = this.positions.get(key);
+        return index === undefined ? undefined : this.heap[index].priority;
+    }
+
+    peek() {
+        return this.heap[0] || null;
+    }
+
+    insert(key, priority) {
+        if (this.has(key)) {
+            this.decreaseKey(key, priority);
+            return;
+        }
+        
+        this.heap.push({ key, priority });
+        this.positions.set(key, this.heap.length - 1);
+        this.siftUp(this.heap.length - 1);
+    }
+
+    // Lowers the priority of a queued key; higher values are ignored
+    decreaseKey(key, priority) {
+        const index = this.positions.get(key);
+        if (index === undefined || priority >= this.heap[index].priority) return false;
+        
+        this.heap[index].priority = priority;
+        this.siftUp(index);
+        return true;
+    }
+
+    extractMin() {
+        if (this.heap.length === 0) return null;
+        
+        const min = this.heap[0];
+        const last = this.heap.pop();
+        this.positions.delete(min.key);
+        
+        if (this.heap.length > 0) {
+            this.heap[0] = last;
+            this.positions.set(last.key, 0);
+            this.siftDown(0);
+        }
+        
+        return min;
+    }
+
+    // Snapshot in priority order, used for step logs
+    toSortedArray() {
+        return this.heap.slice().sort((a, b) => a.priority - b.priority);
+    }
+
+    siftUp(index) {
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.heap[parent].priority <= this.heap[index].priority) break;
+            this.swap(index, parent);
+            index = parent;
+        }
+    }
+
+    siftDown(index) {
+        const length = this.heap.length;
+        
+        while (true) {
+            const left = 2 * index + 1;
+            const right = left + 1;
+            let smallest = index;
+            
+            if (left < length && this.heap[left].priority < this.heap[smallest].priority) smallest = left;
+            if (right < length && this.heap[right].priority < this.heap[smallest].priority) smallest = right;
+            if (smallest === index) break;
+            
+            this.swap(index, smallest);
+            index = smallest;
+        }
+    }
+
+    swap(i, j) {
+        [this.heap[i], this.heap[j]] = [this.heap[j], this.heap[i]];
+        this.positions.set(this.heap[i].key, i);
+        this.positions.set(this.heap[j].key, j);
+    }
+}
+
 // ===== MODERN GRAPH CLASS =====
+const NEGATIVE_WEIGHT_MESSAGE = 'Dijkstra không hỗ trợ cạnh trọng số âm: hãy dùng Bellman–Ford hoặc Floyd–Warshall';
+const EXACT_COLORING_MAX_VERTICES = 10;
+const HAMILTONIAN_MAX_VERTICES = 10;
+const HAMILTONIAN_STEP_LIMIT = 5000;
+
 class ModernGraph {
-    constructor() {
-        this.adjacencyList = {};
+    constructor(options = {}) {
+        // No prototype, so labels such as "constructor" or "__proto__" are plain keys
+        this.adjacencyList = Object.create(null);
         this.nodes = new Map();
         this.edges = [];
+        this.directed = options.directed || false;
         this.animationSpeed = CONFIG.ANIMATION_SPEED;
         this.currentTheme = 'cyber';
         this.isAnimating = false;
@@ -36,25 +245,125 @@ class ModernGraph {
                 color: CONFIG.THEMES[this.currentTheme].primary,
                 visited: false,
                 distance: Infinity,
-                previous: null
+                previous: null,
+                colorClass: null
             });
         }
     }
 
-    addEdge(vertex1, vertex2, weight = 1) {
+    // Directed edges only get an adjacency entry on their source vertex
+    addEdge(vertex1, vertex2, weight = 1, directed = this.directed) {
         if (!this.adjacencyList[vertex1] || !this.adjacencyList[vertex2]) return;
         
         this.adjacencyList[vertex1].push({ node: vertex2, weight });
-        this.adjacencyList[vertex2].push({ node: vertex1, weight });
+        if (!directed) {
+            this.adjacencyList[vertex2].push({ node: vertex1, weight });
+        }
         
         this.edges.push({
             from: vertex1,
             to: vertex2,
             weight,
-            animated: false
+            directed,
+            animated: false,
+            flow: null
+        });
+    }
+
+    edgeMatches(edge, vertex1, vertex2) {
+        if (edge.from === vertex1 && edge.to === vertex2) return true;
+        return !edge.directed && edge.from === vertex2 && edge.to === vertex1;
+    }
+
+    hasEdge(vertex1, vertex2) {
+        return this.edges.some(edge => this.edgeMatches(edge, vertex1, vertex2));
+    }
+
+    removeEdge(vertex1, vertex2) {
+        if (!this.adjacencyList[vertex1] || !this.adjacencyList[vertex2]) return;
+
+        this.edges = this.edges.filter(edge => !this.edgeMatches(edge, vertex1, vertex2));
+        this.rebuildAdjacency();
+    }
+
+    // Remove one edge by index, leaving any parallel edges in place
+    removeEdgeAt(index) {
+        if (index < 0 || index >= this.edges.length) return;
+        
+        this.edges.splice(index, 1);
+        this.rebuildAdjacency();
+    }
+
+    // Parallel edges share a vertex pair; give each a signed lane so the
+    // renderer can bow them apart. Lanes are measured against the pair's
+    // sorted orientation, so A → B and B → A also separate
+    edgeLanes() {
+        const groups = new Map();
+        this.edges.forEach(({ from, to }, index) => {
+            const key = [from, to].sort().join('\u0000');
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(index);
+        });
+        
+        const lanes = new Array(this.edges.length).fill(0);
+        groups.forEach(indices => {
+            indices.forEach((index, i) => {
+                const { from, to } = this.edges[index];
+                const lane = i - (indices.length - 1) / 2;
+                lanes[index] = from <= to ? lane : -lane;
+            });
+        });
+        return lanes;
+    }
+
+    // Regenerate adjacency lists from the edge list, keeping insertion order
+    rebuildAdjacency() {
+        for (const vertex of Object.keys(this.adjacencyList)) {
+            this.adjacencyList[vertex] = [];
+        }
+        
+        this.edges.forEach(({ from, to, weight, directed }) => {
+            this.adjacencyList[from].push({ node: to, weight });
+            if (!directed) {
+                this.adjacencyList[to].push({ node: from, weight });
+            }
         });
     }
 
+    // Switch every edge between directed and undirected
+    setDirected(directed) {
+        this.directed = directed;
+        this.edges.forEach(edge => {
+            edge.directed = directed;
+        });
+        this.rebuildAdjacency();
+    }
+
+    removeVertex(vertex) {
+        if (!this.adjacencyList[vertex]) return;
+
+        // Drop every edge touching the vertex before the vertex itself
+        for (const other of Object.keys(this.adjacencyList)) {
+            this.adjacencyList[other] = this.adjacencyList[other].filter(edge => edge.node !== vertex);
+        }
+        this.edges = this.edges.filter(edge => edge.from !== vertex && edge.to !== vertex);
+
+        delete this.adjacencyList[vertex];
+        this.nodes.delete(vertex);
+    }
+
+    // Next free label: A..Z first, then V1, V2, ...
+    generateVertexLabel() {
+        for (let code = 65; code <= 90; code++) {
+            const label = String.fromCharCode(code);
+            if (!this.adjacencyList[label]) return label;
+        }
+
+        let index = 1;
+        while (this.adjacencyList[`V${index}`]) index++;
+        return `V${index}`;
+    }
+
     generateRandomPosition() {
         return {
             x: Math.random() * (CONFIG.CANVAS.width - 100) + 50,
@@ -63,67 +372,84 @@ class ModernGraph {
     }
 
     // Advanced DFS with detailed tracking
-    async dfsAdvanced(start, callback, stepCallback) {
+    dfsAdvanced(start) {
+        return collectSteps(this.dfsSteps(start));
+    }
+
+    // Step generators are pure and synchronous: they only yield events,
+    // animation is left entirely to whoever consumes them
+    *dfsSteps(start) {
         const visited = new Set();
         const result = [];
-        const steps = [];
         const stack = [{ node: start, path: [start] }];
         
         while (stack.length > 0) {
             const { node, path } = stack.pop();
             
             if (!visited.has(node)) {
-                await this.processNode(node, path, visited, result, steps, callback, stepCallback);
-                await this.addNeighborsToStack(node, path, visited, stack, steps);
+                yield* this.processNode(node, path, visited, result, stack);
+                yield* this.addNeighborsToStack(node, path, visited, stack);
             }
-            
-            // Add delay for animation
-            await new Promise(resolve => setTimeout(resolve, this.animationSpeed));
         }
         
-        return { result, steps, visited };
+        return { result, visited };
     }
 
-    async processNode(node, path, visited, result, steps, callback, stepCallback) {
+    *processNode(node, path, visited, result, stack) {
         visited.add(node);
         result.push(node);
-        steps.push({
+        yield {
             type: 'visit',
             node,
             message: `Thăm đỉnh ${node}`,
             path: [...path],
-            stackState: []
-        });
-        
-        if (callback) await callback(node, 'visited');
-        if (stepCallback) stepCallback(steps[steps.length - 1]);
+            stackState: stack.map(item => item.node),
+            visitedState: [...visited],
+            frontierState: stack.map(item => item.node)
+        };
     }
 
-    async addNeighborsToStack(node, path, visited, stack, steps) {
+    *addNeighborsToStack(node, path, visited, stack) {
         const neighbors = this.adjacencyList[node]
             .map(edge => edge.node || edge)
             .filter(neighbor => !visited.has(neighbor))
             .reverse();
         
+        if (neighbors.length === 0) {
+            yield {
+                type: 'backtrack',
+                node,
+                message: `${node} không còn đỉnh kề chưa thăm, quay lui`,
+                stackState: stack.map(item => item.node),
+                visitedState: [...visited],
+                frontierState: stack.map(item => item.node)
+            };
+            return;
+        }
+        
         for (const neighbor of neighbors) {
-            if (!visited.has(neighbor)) {
-                stack.push({ node: neighbor, path: [...path, neighbor] });
-                steps.push({
-                    type: 'discover',
-                    node: neighbor,
-                    message: `Phát hiện đỉnh ${neighbor} từ ${node}`,
-                    stackState: [...stack.map(item => item.node)]
-                });
-            }
+            stack.push({ node: neighbor, path: [...path, neighbor] });
+            yield {
+                type: 'discover',
+                node: neighbor,
+                from: node,
+                message: `Phát hiện đỉnh ${neighbor} từ ${node}`,
+                stackState: stack.map(item => item.node),
+                visitedState: [...visited],
+                frontierState: stack.map(item => item.node)
+            };
         }
     }
 
     // Advanced BFS with level tracking
-    async bfsAdvanced(start, callback, stepCallback) {
+    bfsAdvanced(start) {
+        return collectSteps(this.bfsSteps(start));
+    }
+
+    *bfsSteps(start) {
         const visited = new Set();
         const queue = [{ node: start, level: 0, path: [start] }];
         const result = [];
-        const steps = [];
         const levels = new Map();
         
         visited.add(start);
@@ -133,17 +459,16 @@ class ModernGraph {
             const { node, level, path } = queue.shift();
             result.push(node);
             
-            steps.push({
+            yield {
                 type: 'visit',
                 node,
                 level,
                 message: `Thăm đỉnh ${node} ở level ${level}`,
                 path: [...path],
-                queueState: [...queue.map(item => `${item.node}(L${item.level})`)]
-            });
-            
-            if (callback) await callback(node, 'visited', level);
-            if (stepCallback) stepCallback(steps[steps.length - 1]);
+                queueState: queue.map(item => `${item.node}(L${item.level})`),
+                visitedState: [...result],
+                frontierState: queue.map(item => item.node)
+            };
             
             // Add neighbors to queue
             for (const edge of this.adjacencyList[node]) {
@@ -157,29 +482,32 @@ class ModernGraph {
                         path: [...path, neighbor] 
                     });
                     
-                    steps.push({
+                    yield {
                         type: 'discover',
                         node: neighbor,
+                        from: node,
                         level: level + 1,
                         message: `Thêm ${neighbor} vào queue (level ${level + 1})`,
-                        queueState: [...queue.map(item => `${item.node}(L${item.level})`)]
-                    });
+                        queueState: queue.map(item => `${item.node}(L${item.level})`),
+                        visitedState: [...result],
+                        frontierState: queue.map(item => item.node)
+                    };
                 }
             }
-            
-            // Add delay for animation
-            await new Promise(resolve => setTimeout(resolve, this.animationSpeed));
         }
         
-        return { result, steps, levels, visited };
+        return { result, levels, visited };
     }
 
     // Dijkstra's algorithm for shortest path
-    async dijkstra(start, end = null) {
+    dijkstra(start, end = null) {
+        if (this.hasNegativeWeights()) throw new Error(NEGATIVE_WEIGHT_MESSAGE);
+        
         const distances = new Map();
         const previous = new Map();
         const visited = new Set();
-        const priorityQueue = [{ node: start, distance: 0 }];
+        const priorityQueue = new PriorityQueue();
+        priorityQueue.insert(start, 0);
         
         // Initialize distances
         for (const vertex of Object.keys(this.adjacencyList)) {
@@ -187,12 +515,8 @@ class ModernGraph {
             previous.set(vertex, null);
         }
         
-        while (priorityQueue.length > 0) {
-            // Sort queue by distance (simple implementation)
-            priorityQueue.sort((a, b) => a.distance - b.distance);
-            const { node: current, distance: currentDist } = priorityQueue.shift();
-            
-            if (visited.has(current)) continue;
+        while (!priorityQueue.isEmpty()) {
+            const { key: current, priority: currentDist } = priorityQueue.extractMin();
             visited.add(current);
             
             if (current === end) break;
@@ -200,13 +524,13 @@ class ModernGraph {
             // Update distances to neighbors
             for (const edge of this.adjacencyList[current]) {
                 const neighbor = edge.node || edge;
-                const weight = edge.weight || 1;
+                const weight = edge.weight === undefined ? 1 : edge.weight;
                 const newDist = currentDist + weight;
                 
                 if (newDist < distances.get(neighbor)) {
                     distances.set(neighbor, newDist);
                     previous.set(neighbor, current);
-                    priorityQueue.push({ node: neighbor, distance: newDist });
+                    priorityQueue.insert(neighbor, newDist);
                 }
             }
         }
@@ -214,184 +538,4796 @@ class ModernGraph {
         return { distances, previous, visited };
     }
 
-    // Reset graph state
-    reset() {
-        this.nodes.forEach(node => {
-            node.visited = false;
-            node.color = CONFIG.THEMES[this.currentTheme].primary;
-            node.distance = Infinity;
-            node.previous = null;
-        });
+    // Dijkstra with step recording for the demo panel
+    dijkstraAdvanced(start, end = null) {
+        return collectSteps(this.dijkstraSteps(start, end));
+    }
+
+    *dijkstraSteps(start, end = null) {
+        if (this.hasNegativeWeights()) throw new Error(NEGATIVE_WEIGHT_MESSAGE);
         
-        this.edges.forEach(edge => {
-            edge.animated = false;
+        const distances = new Map();
+        const previous = new Map();
+        const visited = new Set();
+        const result = [];
+        const priorityQueue = new PriorityQueue();
+        const snapshot = () => ({
+            priorityQueueState: priorityQueue
+                .toSortedArray()
+                .map(item => `${item.key}(${item.priority})`),
+            visitedState: [...visited],
+            frontierState: priorityQueue.heap.map(item => item.key),
+            distanceState: Object.fromEntries(distances)
         });
         
-        this.isAnimating = false;
-    }
-
-    // Change theme
-    setTheme(theme) {
-        if (CONFIG.THEMES[theme]) {
-            this.currentTheme = theme;
-            document.documentElement.style.setProperty('--text-accent', CONFIG.THEMES[theme].primary);
+        priorityQueue.insert(start, 0);
+        
+        for (const vertex of Object.keys(this.adjacencyList)) {
+            distances.set(vertex, vertex === start ? 0 : Infinity);
+            previous.set(vertex, null);
+        }
+        
+        yield {
+            type: 'init',
+            node: start,
+            message: `Khởi tạo: dist[${start}] = 0, các đỉnh còn lại = ∞`,
+            ...snapshot()
+        };
+        
+        while (!priorityQueue.isEmpty()) {
+            const { key: current, priority: currentDist } = priorityQueue.extractMin();
+            visited.add(current);
+            result.push(current);
+            
+            yield {
+                type: 'settle',
+                node: current,
+                distance: currentDist,
+                message: `Chốt đỉnh ${current} với khoảng cách ${currentDist}`,
+                ...snapshot()
+            };
+            
+            if (current === end) break;
+            
+            for (const edge of this.adjacencyList[current]) {
+                const neighbor = edge.node || edge;
+                const weight = edge.weight === undefined ? 1 : edge.weight;
+                if (visited.has(neighbor)) continue;
+                
+                const newDist = currentDist + weight;
+                const oldDist = distances.get(neighbor);
+                
+                if (newDist < oldDist) {
+                    distances.set(neighbor, newDist);
+                    previous.set(neighbor, current);
+                    priorityQueue.insert(neighbor, newDist);
+                    
+                    yield {
+                        type: 'relax',
+                        from: current,
+                        node: neighbor,
+                        distance: newDist,
+                        message: `Cập nhật dist[${neighbor}] = ${currentDist} + ${weight} = ${newDist}`,
+                        ...snapshot()
+                    };
+                } else {
+                    yield {
+                        type: 'skip',
+                        from: current,
+                        node: neighbor,
+                        distance: oldDist,
+                        message: `Giữ dist[${neighbor}] = ${oldDist} vì ${currentDist} + ${weight} = ${newDist} không nhỏ hơn`,
+                        ...snapshot()
+                    };
+                }
+            }
+        }
+        
+        const path = end ? this.buildPath(previous, start, end) : [];
+        
+        if (end) {
+            yield {
+                type: 'done',
+                node: end,
+                path,
+                message: path.length > 0
+                    ? `Đường đi ngắn nhất: ${path.join(' → ')} (${distances.get(end)})`
+                    : `Không có đường đi từ ${start} tới ${end}`,
+                ...snapshot()
+            };
         }
+        
+        return { result, distances, previous, path, visited };
     }
-}
 
-// ===== ADVANCED CANVAS RENDERER =====
-class GraphRenderer {
-    constructor(canvasId, graph) {
-        this.canvas = document.getElementById(canvasId);
-        this.ctx = this.canvas.getContext('2d');
-        this.graph = graph;
-        this.scale = 1;
-        this.offset = { x: 0, y: 0 };
-        this.animatedNodes = new Set();
-        this.animatedEdges = new Set();
+    // Walk the previous-map back from end; empty when end is unreachable
+    buildPath(previous, start, end) {
+        const path = [];
+        let current = end;
         
-        this.setupEventListeners();
-        this.render();
+        while (current !== null && current !== undefined) {
+            path.unshift(current);
+            if (current === start) return path;
+            current = previous.get(current);
+        }
+        
+        return [];
     }
 
-    setupEventListeners() {
-        this.canvas.addEventListener('click', (e) => this.handleCanvasClick(e));
-        this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-        this.canvas.addEventListener('wheel', (e) => this.handleZoom(e));
+    // ----- Negative weights -----
+    // Settling a vertex for good, as Dijkstra does, is only sound when no
+    // edge can make a longer-looking path cheaper later
+    hasNegativeWeights() {
+        return this.edges.some(edge => edge.weight < 0);
     }
 
-    handleCanvasClick(event) {
-        const rect = this.canvas.getBoundingClientRect();
-        const x = (event.clientX - rect.left) / this.scale - this.offset.x;
-        const y = (event.clientY - rect.top) / this.scale - this.offset.y;
-        
-        // Check if click is on a node
-        for (const [nodeId, node] of this.graph.nodes) {
-            const distance = Math.sqrt((x - node.position.x) ** 2 + (y - node.position.y) ** 2);
-            if (distance <= CONFIG.CANVAS.nodeRadius) {
-                document.getElementById('startNode').value = nodeId;
-                this.highlightNode(nodeId, '#f39c12');
-                break;
-            }
-        }
+    // Bellman–Ford: relax every edge V - 1 times; an edge that still relaxes
+    // afterwards proves a negative cycle reachable from the start
+    bellmanFordAdvanced(start, end = null) {
+        return collectSteps(this.bellmanFordSteps(start, end));
     }
 
-    handleMouseMove(event) {
-        const rect = this.canvas.getBoundingClientRect();
-        const x = (event.clientX - rect.left) / this.scale - this.offset.x;
-        const y = (event.clientY - rect.top) / this.scale - this.offset.y;
+    *bellmanFordSteps(start, end = null) {
+        const vertices = Object.keys(this.adjacencyList);
+        const distances = new Map(vertices.map(vertex => [vertex, vertex === start ? 0 : Infinity]));
+        const previous = new Map(vertices.map(vertex => [vertex, null]));
+        const edges = vertices.flatMap(from => this.adjacencyList[from].map(({ node, weight }) => ({ from, to: node, weight })));
+        let updated = new Set([start]);
+        const snapshot = () => ({
+            distanceState: Object.fromEntries(distances),
+            visitedState: vertices.filter(vertex => distances.get(vertex) !== Infinity),
+            frontierState: [...updated]
+        });
         
-        let hoveredNode = null;
-        for (const [nodeId, node] of this.graph.nodes) {
-            const distance = Math.sqrt((x - node.position.x) ** 2 + (y - node.position.y) ** 2);
-            if (distance <= CONFIG.CANVAS.nodeRadius) {
-                hoveredNode = nodeId;
-                break;
+        yield {
+            type: 'init',
+            node: start,
+            message: `Khởi tạo: dist[${start}] = 0, các đỉnh còn lại = ∞; tối đa ${Math.max(vertices.length - 1, 0)} vòng`,
+            ...snapshot()
+        };
+        
+        let converged = false;
+        for (let iteration = 1; iteration < vertices.length; iteration++) {
+            updated = new Set();
+            for (const { from, to, weight } of edges) {
+                const base = distances.get(from);
+                const candidate = base + weight;
+                if (base === Infinity || candidate >= distances.get(to)) continue;
+                
+                distances.set(to, candidate);
+                previous.set(to, from);
+                updated.add(to);
+                yield {
+                    type: 'relax',
+                    from,
+                    node: to,
+                    distance: candidate,
+                    message: `Vòng ${iteration}: dist[${to}] = ${base} + ${weight} = ${candidate}`,
+                    ...snapshot()
+                };
             }
+            
+            converged = updated.size === 0;
+            yield {
+                type: 'iteration',
+                message: converged
+                    ? `Vòng ${iteration} không cập nhật gì, dừng sớm`
+                    : `Hết vòng ${iteration}: cập nhật ${[...updated].join(', ')}`,
+                ...snapshot()
+            };
+            if (converged) break;
         }
         
-        this.canvas.style.cursor = hoveredNode ? 'pointer' : 'default';
+        const witness = converged ? null : edges.find(({ from, to, weight }) =>
+            distances.get(from) !== Infinity && distances.get(from) + weight < distances.get(to));
         
-        // Show node info
-        const nodeInfo = document.getElementById('nodeInfo');
-        if (hoveredNode) {
-            const node = this.graph.nodes.get(hoveredNode);
-            nodeInfo.textContent = `Node: ${hoveredNode} | Visited: ${node.visited}`;
-            nodeInfo.style.opacity = '1';
-        } else {
-            nodeInfo.style.opacity = '0';
+        if (witness) {
+            // V steps back along previous[] from the still-relaxable edge
+            // are guaranteed to end up on the cycle itself
+            previous.set(witness.to, witness.from);
+            let vertex = witness.to;
+            for (let i = 0; i < vertices.length; i++) vertex = previous.get(vertex);
+            
+            const cycle = [vertex];
+            for (let current = previous.get(vertex); current !== vertex; current = previous.get(current)) {
+                cycle.push(current);
+            }
+            cycle.push(vertex);
+            cycle.reverse();
+            
+            const total = cycle.slice(1).reduce((sum, to, i) => sum + Math.min(
+                ...this.adjacencyList[cycle[i]].filter(({ node }) => node === to).map(({ weight }) => weight)), 0);
+            yield {
+                type: 'cycle',
+                from: witness.from,
+                node: witness.to,
+                cycle,
+                message: `Vòng ${vertices.length}: ${witness.from} → ${witness.to} vẫn giảm được, chu trình âm ${cycle.join(' → ')} (tổng ${total})`,
+                ...snapshot()
+            };
+            return { result: [], distances, previous, path: [], negativeCycle: cycle };
         }
+        
+        const result = vertices
+            .filter(vertex => distances.get(vertex) !== Infinity)
+            .sort((a, b) => distances.get(a) - distances.get(b));
+        const path = end ? this.buildPath(previous, start, end) : [];
+        yield {
+            type: 'done',
+            node: end,
+            path: path.length > 0 ? path : null,
+            message: path.length > 0
+                ? `Đường đi ngắn nhất: ${path.join(' → ')} (${distances.get(end)})`
+                : 'Không có chu trình âm, khoảng cách đã chốt',
+            ...snapshot()
+        };
+        return { result, distances, previous, path, negativeCycle: null };
     }
 
-    handleZoom(event) {
-        event.preventDefault();
-        const zoom = event.deltaY > 0 ? 0.9 : 1.1;
-        this.scale = Math.max(0.5, Math.min(2, this.scale * zoom));
-        this.render();
+    // Floyd–Warshall: allow one more intermediate vertex k per round; a
+    // negative diagonal entry at the end means a negative cycle
+    floydWarshallAdvanced() {
+        return collectSteps(this.floydWarshallSteps());
     }
 
-    render() {
-        this.ctx.save();
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        this.ctx.scale(this.scale, this.scale);
-        this.ctx.translate(this.offset.x, this.offset.y);
+    *floydWarshallSteps() {
+        const vertices = Object.keys(this.adjacencyList);
+        const dist = new Map(vertices.map(i => [i, new Map(vertices.map(j => [j, i === j ? 0 : Infinity]))]));
+        const next = new Map(vertices.map(i => [i, new Map(vertices.map(j => [j, i === j ? i : null]))]));
+        const processed = [];
+        let updated = [];
         
-        this.drawGrid();
-        this.drawEdges();
-        this.drawNodes();
+        vertices.forEach(from => this.adjacencyList[from].forEach(({ node, weight }) => {
+            if (weight >= dist.get(from).get(node)) return;
+            dist.get(from).set(node, weight);
+            next.get(from).set(node, node);
+        }));
         
-        this.ctx.restore();
-    }
-
-    drawGrid() {
-        const gridSize = 50;
-        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.05)';
-        this.ctx.lineWidth = 1;
+        const snapshot = (pivot = null) => ({
+            matrixState: {
+                vertices,
+                pivot,
+                rows: vertices.map(i => vertices.map(j => dist.get(i).get(j))),
+                updated: updated.map(([i, j]) => [vertices.indexOf(i), vertices.indexOf(j)])
+            },
+            visitedState: [...processed],
+            frontierState: pivot === null ? [] : [pivot]
+        });
         
-        for (let x = 0; x < this.canvas.width; x += gridSize) {
-            this.ctx.beginPath();
-            this.ctx.moveTo(x, 0);
-            this.ctx.lineTo(x, this.canvas.height);
-            this.ctx.stroke();
+        yield {
+            type: 'init',
+            message: 'Khởi tạo ma trận từ các cạnh: 0 trên đường chéo, ∞ nếu không có cạnh',
+            ...snapshot()
+        };
+        
+        for (const k of vertices) {
+            updated = [];
+            for (const i of vertices) {
+                for (const j of vertices) {
+                    const through = dist.get(i).get(k) + dist.get(k).get(j);
+                    if (through >= dist.get(i).get(j)) continue;
+                    
+                    dist.get(i).set(j, through);
+                    next.get(i).set(j, next.get(i).get(k));
+                    updated.push([i, j]);
+                }
+            }
+            processed.push(k);
+            yield {
+                type: 'pivot',
+                node: k,
+                message: `k = ${k}: ${updated.length} ô ngắn hơn khi đi qua ${k}`,
+                ...snapshot(k)
+            };
         }
         
-        for (let y = 0; y < this.canvas.height; y += gridSize) {
-            this.ctx.beginPath();
-            this.ctx.moveTo(0, y);
-            this.ctx.lineTo(this.canvas.width, y);
-            this.ctx.stroke();
+        updated = [];
+        const negativeVertices = vertices.filter(vertex => dist.get(vertex).get(vertex) < 0);
+        yield {
+            type: 'done',
+            message: negativeVertices.length > 0
+                ? `Chu trình âm đi qua ${negativeVertices.join(', ')}: khoảng cách liên quan không xác định`
+                : 'Hoàn tất: khoảng cách ngắn nhất giữa mọi cặp đỉnh',
+            ...snapshot()
+        };
+        return { result: vertices, vertices, dist, next, negativeVertices };
+    }
+
+    // Follows next-hop entries; null when there is no path or a negative
+    // cycle makes the shortest one undefined
+    floydWarshallPath(next, from, to) {
+        if (next.get(from)?.get(to) === null) return null;
+        
+        const path = [from];
+        const seen = new Set(path);
+        for (let current = from; current !== to;) {
+            current = next.get(current).get(to);
+            if (seen.has(current)) return null;
+            seen.add(current);
+            path.push(current);
         }
+        return path;
     }
 
-    drawEdges() {
-        this.graph.edges.forEach(edge => {
-            const fromNode = this.graph.nodes.get(edge.from);
-            const toNode = this.graph.nodes.get(edge.to);
-            
-            if (!fromNode || !toNode) return;
-            
-            this.ctx.strokeStyle = edge.animated ? '#64ffda' : 'rgba(255, 255, 255, 0.3)';
-            this.ctx.lineWidth = edge.animated ? 4 : 2;
-            
+    // ----- Coloring -----
+    // Distinct neighbours of every vertex, ignoring direction. Self-loops
+    // are left out: no proper coloring exists for them, so the coloring
+    // algorithms simply skip them (bipartiteness still reports them)
+    coloringNeighbors() {
+        const neighbors = this.undirectedNeighbors();
+        return new Map([...neighbors].map(([vertex, list]) =>
+            [vertex, new Set(list.map(({ node }) => node).filter(node => node !== vertex))]));
+    }
+
+    // BFS two-coloring. An edge between two vertices of the same side closes
+    // an odd cycle through their lowest common BFS ancestor
+    bipartiteAdvanced() {
+        return collectSteps(this.bipartiteSteps());
+    }
+
+    *bipartiteSteps() {
+        const neighbors = this.undirectedNeighbors();
+        const side = new Map();
+        const parent = new Map();
+        const queue = [];
+        const snapshot = () => ({
+            queueState: [...queue],
+            coloringState: Object.fromEntries(side),
+            visitedState: [...side.keys()],
+            frontierState: [...queue]
+        });
+        const ancestors = (vertex) => {
+            const chain = [vertex];
+            while (parent.get(chain[chain.length - 1]) !== null) chain.push(parent.get(chain[chain.length - 1]));
+            return chain;
+        };
+        
+        for (const root of neighbors.keys()) {
+            if (side.has(root)) continue;
+            
+            side.set(root, 0);
+            parent.set(root, null);
+            queue.push(root);
+            yield {
+                type: 'visit',
+                node: root,
+                message: `Bắt đầu BFS từ ${root}, tô màu 1`,
+                ...snapshot()
+            };
+            
+            while (queue.length > 0) {
+                const vertex = queue.shift();
+                for (const { node } of neighbors.get(vertex)) {
+                    if (!side.has(node)) {
+                        side.set(node, 1 - side.get(vertex));
+                        parent.set(node, vertex);
+                        queue.push(node);
+                        yield {
+                            type: 'discover',
+                            from: vertex,
+                            node,
+                            message: `${node} kề ${vertex}, tô màu ${side.get(node) + 1}`,
+                            ...snapshot()
+                        };
+                        continue;
+                    }
+                    if (side.get(node) !== side.get(vertex)) continue;
+                    
+                    // Both BFS depths have the same parity, so the cycle is odd
+                    const up = ancestors(vertex);
+                    const down = ancestors(node);
+                    const common = down.find(ancestor => up.includes(ancestor));
+                    const cycle = [
+                        ...up.slice(0, up.indexOf(common) + 1).reverse(),
+                        ...down.slice(0, down.indexOf(common) + 1)
+                    ];
+                    yield {
+                        type: 'cycle',
+                        from: vertex,
+                        node,
+                        cycle,
+                        message: `${vertex} và ${node} cùng màu: chu trình lẻ ${cycle.join(' → ')}`,
+                        ...snapshot()
+                    };
+                    return { result: cycle, bipartite: false, oddCycle: cycle, colors: new Map(side), count: null };
+                }
+            }
+        }
+        
+        const sides = [0, 1].map(value => [...side.keys()].filter(vertex => side.get(vertex) === value));
+        yield {
+            type: 'done',
+            message: `Đồ thị hai phía: {${sides[0].join(', ')}} | {${sides[1].join(', ')}}`,
+            ...snapshot()
+        };
+        return {
+            result: [...side.keys()],
+            bipartite: true,
+            sides,
+            oddCycle: null,
+            colors: new Map(side),
+            count: new Set(side.values()).size
+        };
+    }
+
+    // Greedy coloring: each vertex takes the smallest color its neighbours
+    // have not used. 'natural' keeps insertion order, 'largest' sorts by
+    // degree, 'dsatur' always picks the vertex with the most distinct
+    // neighbour colors (ties broken by degree)
+    greedyColoringAdvanced(ordering = 'natural') {
+        return collectSteps(this.greedyColoringSteps(ordering));
+    }
+
+    *greedyColoringSteps(ordering = 'natural') {
+        const neighbors = this.coloringNeighbors();
+        const colors = new Map();
+        const order = [];
+        const saturation = (vertex) => new Set([...neighbors.get(vertex)]
+            .filter(node => colors.has(node)).map(node => colors.get(node))).size;
+        const snapshot = () => ({
+            coloringState: Object.fromEntries(colors),
+            orderState: [...order],
+            visitedState: [...colors.keys()],
+            frontierState: [],
+            ...(ordering === 'dsatur' && {
+                annotationState: Object.fromEntries([...neighbors.keys()]
+                    .filter(vertex => !colors.has(vertex))
+                    .map(vertex => [vertex, saturation(vertex)]))
+            })
+        });
+        
+        const sequence = [...neighbors.keys()];
+        if (ordering === 'largest') {
+            sequence.sort((a, b) => neighbors.get(b).size - neighbors.get(a).size);
+        }
+        
+        while (order.length < sequence.length) {
+            const uncolored = sequence.filter(vertex => !colors.has(vertex));
+            const vertex = ordering === 'dsatur'
+                ? uncolored.reduce((best, candidate) => {
+                    const delta = saturation(candidate) - saturation(best);
+                    return delta > 0 || (delta === 0 && neighbors.get(candidate).size > neighbors.get(best).size)
+                        ? candidate
+                        : best;
+                })
+                : uncolored[0];
+            
+            const taken = new Set([...neighbors.get(vertex)].filter(node => colors.has(node)).map(node => colors.get(node)));
+            let color = 0;
+            while (taken.has(color)) color++;
+            colors.set(vertex, color);
+            order.push(vertex);
+            
+            yield {
+                type: 'color',
+                node: vertex,
+                message: taken.size > 0
+                    ? `${vertex}: láng giềng đã dùng màu {${[...taken].sort((a, b) => a - b).map(c => c + 1).join(', ')}} → chọn màu ${color + 1}`
+                    : `${vertex}: chưa láng giềng nào có màu → chọn màu ${color + 1}`,
+                ...snapshot()
+            };
+        }
+        
+        const count = new Set(colors.values()).size;
+        yield {
+            type: 'done',
+            message: `Dùng ${count} màu`,
+            ...snapshot()
+        };
+        return { result: order, colors, count, ordering };
+    }
+
+    // Exact coloring by backtracking: try k = 1, 2, ... colors until one
+    // works, bounded above by DSatur. A vertex may only open the next unused
+    // color, which removes the k! relabellings of the same coloring
+    exactColoringAdvanced() {
+        return collectSteps(this.exactColoringSteps());
+    }
+
+    *exactColoringSteps() {
+        const neighbors = this.coloringNeighbors();
+        if (neighbors.size > EXACT_COLORING_MAX_VERTICES) {
+            throw new Error(`Tô màu chính xác chỉ hỗ trợ đồ thị tối đa ${EXACT_COLORING_MAX_VERTICES} đỉnh`);
+        }
+        
+        const sequence = [...neighbors.keys()].sort((a, b) => neighbors.get(b).size - neighbors.get(a).size);
+        const greedy = collectSteps(this.greedyColoringSteps('dsatur'));
+        const colors = new Map();
+        let pruned = 0;
+        const snapshot = () => ({
+            coloringState: Object.fromEntries(colors),
+            visitedState: [...colors.keys()],
+            frontierState: []
+        });
+        
+        const lower = [...neighbors.values()].some(list => list.size > 0) ? 2 : Math.min(1, neighbors.size);
+        for (let k = lower; k < greedy.count; k++) {
+            yield {
+                type: 'round',
+                message: `Thử tô bằng ${k} màu (DSatur cần ${greedy.count})`,
+                ...snapshot()
+            };
+            
+            const place = function* (index, used) {
+                if (index === sequence.length) return true;
+                
+                const vertex = sequence[index];
+                const taken = new Set([...neighbors.get(vertex)].filter(node => colors.has(node)).map(node => colors.get(node)));
+                for (let color = 0; color < Math.min(k, used + 1); color++) {
+                    if (taken.has(color)) continue;
+                    
+                    colors.set(vertex, color);
+                    yield {
+                        type: 'assign',
+                        node: vertex,
+                        message: `${vertex} ← màu ${color + 1}`,
+                        ...snapshot()
+                    };
+                    if (yield* place(index + 1, Math.max(used, color + 1))) return true;
+                    colors.delete(vertex);
+                }
+                
+                pruned++;
+                yield {
+                    type: 'prune',
+                    node: vertex,
+                    message: `${vertex} không còn màu hợp lệ trong ${k} màu, quay lui`,
+                    ...snapshot()
+                };
+                return false;
+            };
+            
+            if (yield* place(0, 0)) {
+                yield {
+                    type: 'done',
+                    message: `Sắc số χ = ${k} (${pruned} nhánh bị cắt)`,
+                    ...snapshot()
+                };
+                return { result: sequence, colors: new Map(colors), count: k, pruned };
+            }
+            colors.clear();
+        }
+        
+        greedy.colors.forEach((color, vertex) => colors.set(vertex, color));
+        yield {
+            type: 'done',
+            message: `Không tô được bằng ít màu hơn: sắc số χ = ${greedy.count} (${pruned} nhánh bị cắt)`,
+            ...snapshot()
+        };
+        return { result: sequence, colors: new Map(colors), count: greedy.count, pruned };
+    }
+
+    // ----- Euler and Hamilton -----
+    // Degree conditions: an Eulerian circuit needs every degree even (or
+    // in = out when directed), a path allows exactly two exceptions, and
+    // all edges must lie in one weakly connected piece
+    eulerianCheck() {
+        const vertices = Object.keys(this.adjacencyList);
+        const directed = this.isFullyDirected();
+        const inDegree = new Map(vertices.map(vertex => [vertex, 0]));
+        const outDegree = new Map(vertices.map(vertex => [vertex, 0]));
+        this.edges.forEach(({ from, to }) => {
+            outDegree.set(from, outDegree.get(from) + 1);
+            inDegree.set(to, inDegree.get(to) + 1);
+        });
+        
+        const degree = (vertex) => inDegree.get(vertex) + outDegree.get(vertex);
+        const degrees = new Map(vertices.map(vertex => [vertex, directed
+            ? `${inDegree.get(vertex)}/${outDegree.get(vertex)}`
+            : degree(vertex)]));
+        const none = (reason) => ({ kind: null, start: null, end: null, reason, degrees, directed });
+        
+        if (this.edges.length === 0) return none('Đồ thị không có cạnh');
+        if (!directed && this.edges.some(edge => edge.directed)) {
+            return none('Đồ thị trộn cạnh có hướng và vô hướng');
+        }
+        
+        const touched = vertices.filter(vertex => degree(vertex) > 0);
+        const neighbors = this.undirectedNeighbors();
+        const reached = new Set([touched[0]]);
+        const queue = [touched[0]];
+        while (queue.length > 0) {
+            neighbors.get(queue.shift()).forEach(({ node }) => {
+                if (reached.has(node)) return;
+                reached.add(node);
+                queue.push(node);
+            });
+        }
+        if (reached.size < touched.length) return none('Các cạnh không nằm trong cùng một thành phần liên thông');
+        
+        if (!directed) {
+            const odd = vertices.filter(vertex => degree(vertex) % 2 === 1);
+            if (odd.length === 0) return { kind: 'circuit', start: touched[0], end: touched[0], reason: 'Mọi đỉnh đều bậc chẵn', degrees, directed };
+            if (odd.length === 2) return { kind: 'path', start: odd[0], end: odd[1], reason: `Đúng hai đỉnh bậc lẻ: ${odd.join(', ')}`, degrees, directed };
+            return none(`${odd.length} đỉnh bậc lẻ (${odd.join(', ')}), cần 0 hoặc 2`);
+        }
+        
+        const balance = (vertex) => outDegree.get(vertex) - inDegree.get(vertex);
+        const unbalanced = vertices.filter(vertex => balance(vertex) !== 0);
+        if (unbalanced.length === 0) return { kind: 'circuit', start: touched[0], end: touched[0], reason: 'Mọi đỉnh có bậc vào = bậc ra', degrees, directed };
+        
+        const start = unbalanced.filter(vertex => balance(vertex) === 1);
+        const end = unbalanced.filter(vertex => balance(vertex) === -1);
+        if (unbalanced.length === 2 && start.length === 1 && end.length === 1) {
+            return { kind: 'path', start: start[0], end: end[0], reason: `${start[0]} thừa một cạnh ra, ${end[0]} thừa một cạnh vào`, degrees, directed };
+        }
+        return none(`Bậc vào/ra lệch tại ${unbalanced.join(', ')}`);
+    }
+
+    // Hierholzer: walk unused edges until stuck, then back up, appending
+    // each stuck vertex to the answer. Edges are tracked by index, so
+    // parallel edges are each crossed exactly once
+    eulerianAdvanced() {
+        return collectSteps(this.eulerianSteps());
+    }
+
+    *eulerianSteps() {
+        const check = this.eulerianCheck();
+        yield {
+            type: 'degrees',
+            node: check.start,
+            message: check.kind
+                ? `${check.reason} → có ${check.kind === 'circuit' ? 'chu trình' : 'đường đi'} Euler, bắt đầu từ ${check.start}`
+                : `${check.reason} → không có đường đi Euler`,
+            annotationState: Object.fromEntries(check.degrees),
+            visitedState: [],
+            frontierState: []
+        };
+        if (!check.kind) return { result: [], kind: null, edges: [], ...check };
+        
+        const incidence = check.directed
+            ? new Map(Object.keys(this.adjacencyList).map(vertex => [vertex, []]))
+            : this.undirectedNeighbors();
+        if (check.directed) {
+            this.edges.forEach(({ from, to }, index) => incidence.get(from).push({ node: to, edge: index }));
+        }
+        
+        const used = new Set();
+        const next = new Map([...incidence.keys()].map(vertex => [vertex, 0]));
+        const stack = [{ vertex: check.start, edge: null }];
+        const circuit = [];
+        const snapshot = () => ({
+            stackState: stack.map(entry => entry.vertex),
+            orderState: circuit.map(entry => entry.vertex).reverse(),
+            trailState: [...used],
+            visitedState: [...new Set(circuit.map(entry => entry.vertex))],
+            frontierState: stack.map(entry => entry.vertex)
+        });
+        
+        while (stack.length > 0) {
+            const top = stack[stack.length - 1];
+            const list = incidence.get(top.vertex);
+            while (next.get(top.vertex) < list.length && used.has(list[next.get(top.vertex)].edge)) {
+                next.set(top.vertex, next.get(top.vertex) + 1);
+            }
+            
+            if (next.get(top.vertex) < list.length) {
+                const { node, edge } = list[next.get(top.vertex)];
+                used.add(edge);
+                stack.push({ vertex: node, edge });
+                yield {
+                    type: 'traverse',
+                    from: top.vertex,
+                    node,
+                    edgeIndex: edge,
+                    message: `Đi cạnh ${top.vertex} ${check.directed ? '→' : '–'} ${node} (${used.size}/${this.edges.length})`,
+                    ...snapshot()
+                };
+                continue;
+            }
+            
+            stack.pop();
+            circuit.push(top);
+            yield {
+                type: 'backtrack',
+                node: top.vertex,
+                message: `${top.vertex} hết cạnh chưa đi, ghép vào hành trình`,
+                ...snapshot()
+            };
+        }
+        
+        const result = circuit.map(entry => entry.vertex).reverse();
+        const edges = circuit.filter(entry => entry.edge !== null).map(entry => entry.edge).reverse();
+        yield {
+            type: 'done',
+            message: `${check.kind === 'circuit' ? 'Chu trình' : 'Đường đi'} Euler: ${result.join(' → ')}`,
+            trailState: edges,
+            visitedState: [...new Set(result)],
+            frontierState: []
+        };
+        return { result, edges, ...check };
+    }
+
+    // Backtracking over simple paths. A branch is pruned as soon as some
+    // unvisited vertex can no longer be reached from the path's end, or when
+    // a full path has no edge back to its start in cycle mode
+    hamiltonianAdvanced(closed = false) {
+        return collectSteps(this.hamiltonianSteps(closed));
+    }
+
+    *hamiltonianSteps(closed = false) {
+        const vertices = Object.keys(this.adjacencyList);
+        if (vertices.length > HAMILTONIAN_MAX_VERTICES) {
+            throw new Error(`Tìm Hamilton chỉ hỗ trợ đồ thị tối đa ${HAMILTONIAN_MAX_VERTICES} đỉnh`);
+        }
+        
+        const successors = new Map(vertices.map(vertex => [vertex,
+            [...new Set(this.adjacencyList[vertex].map(({ node }) => node))].filter(node => node !== vertex)]));
+        const path = [];
+        const onPath = new Set();
+        // Closing an undirected 2-vertex cycle needs a second, parallel edge
+        const edgeCount = (from, to) => this.edges.filter(edge => this.edgeMatches(edge, from, to)).length;
+        const closes = (from, to) => successors.get(from).includes(to) &&
+            (path.length > 2 || (path.length === 2 && (this.isFullyDirected() || edgeCount(from, to) > 1)));
+        let explored = 0;
+        let pruned = 0;
+        let budget = HAMILTONIAN_STEP_LIMIT;
+        const snapshot = () => ({
+            stackState: [...path],
+            visitedState: [...path],
+            frontierState: [],
+            ...(path.length > 1 && { path: [...path] })
+        });
+        
+        const extend = function* () {
+            const last = path[path.length - 1];
+            if (path.length === vertices.length) {
+                if (!closed || closes(last, path[0])) return true;
+                
+                pruned++;
+                yield {
+                    type: 'prune',
+                    node: last,
+                    message: `Đủ ${vertices.length} đỉnh nhưng không có cạnh ${last} → ${path[0]} để khép chu trình`,
+                    ...snapshot()
+                };
+                return false;
+            }
+            
+            const reached = new Set([last]);
+            const queue = [last];
+            while (queue.length > 0) {
+                successors.get(queue.shift()).forEach(node => {
+                    if (reached.has(node) || onPath.has(node)) return;
+                    reached.add(node);
+                    queue.push(node);
+                });
+            }
+            const unreachable = vertices.filter(vertex => !onPath.has(vertex) && !reached.has(vertex));
+            if (unreachable.length > 0) {
+                pruned++;
+                yield {
+                    type: 'prune',
+                    node: last,
+                    message: `Từ ${last} không còn tới được ${unreachable.join(', ')}: cắt nhánh`,
+                    ...snapshot()
+                };
+                return false;
+            }
+            
+            for (const node of successors.get(last)) {
+                if (onPath.has(node)) continue;
+                if (--budget < 0) return false;
+                
+                path.push(node);
+                onPath.add(node);
+                explored++;
+                yield {
+                    type: 'extend',
+                    from: last,
+                    node,
+                    message: `Thử ${path.join(' → ')}`,
+                    ...snapshot()
+                };
+                
+                if (yield* extend()) return true;
+                
+                path.pop();
+                onPath.delete(node);
+                yield {
+                    type: 'backtrack',
+                    node: last,
+                    message: `Quay lui về ${last}`,
+                    ...snapshot()
+                };
+            }
+            return false;
+        };
+        
+        // A cycle passes through every vertex, so one start is enough
+        const starts = closed ? vertices.slice(0, 1) : vertices;
+        for (const start of starts) {
+            path.push(start);
+            onPath.add(start);
+            yield {
+                type: 'visit',
+                node: start,
+                message: `Bắt đầu từ ${start}`,
+                ...snapshot()
+            };
+            
+            if (yield* extend()) {
+                const result = closed ? [...path, path[0]] : [...path];
+                yield {
+                    type: 'done',
+                    node: start,
+                    path: result,
+                    message: `${closed ? 'Chu trình' : 'Đường đi'} Hamilton: ${result.join(' → ')} (${explored} nhánh đã thử, ${pruned} bị cắt)`,
+                    visitedState: [...path],
+                    frontierState: []
+                };
+                return { result, found: true, closed, explored, pruned, truncated: false };
+            }
+            
+            path.length = 0;
+            onPath.clear();
+            if (budget < 0) break;
+        }
+        
+        const truncated = budget < 0;
+        yield {
+            type: 'done',
+            message: truncated
+                ? `Dừng sau ${HAMILTONIAN_STEP_LIMIT} nhánh mà chưa tìm thấy (${pruned} bị cắt)`
+                : `Không có ${closed ? 'chu trình' : 'đường đi'} Hamilton (${explored} nhánh đã thử, ${pruned} bị cắt)`,
+            visitedState: [],
+            frontierState: []
+        };
+        return { result: [], found: false, closed, explored, pruned, truncated };
+    }
+
+    // ----- Network flow -----
+    // Edge weights are capacities. Each edge becomes an arc paired with a
+    // reverse residual arc; an undirected edge gives its reverse arc the
+    // same capacity, so flow may cross it in either direction
+    flowNetwork() {
+        const arcs = [];
+        const outgoing = new Map(Object.keys(this.adjacencyList).map(vertex => [vertex, []]));
+        
+        this.edges.forEach(({ from, to, weight, directed }, edge) => {
+            const forward = arcs.length;
+            arcs.push({ from, to, capacity: weight, flow: 0, edge, reverse: forward + 1 });
+            arcs.push({ from: to, to: from, capacity: directed ? 0 : weight, flow: 0, edge, reverse: forward });
+            outgoing.get(from).push(forward);
+            outgoing.get(to).push(forward + 1);
+        });
+        
+        return { arcs, outgoing };
+    }
+
+    // Flow carried by each edge of this.edges, in the same order
+    edgeFlows({ arcs }) {
+        return this.edges.map((_, index) => Math.abs(arcs[2 * index].flow));
+    }
+
+    pushFlow({ arcs }, path, amount) {
+        path.forEach(index => {
+            arcs[index].flow += amount;
+            arcs[arcs[index].reverse].flow -= amount;
+        });
+    }
+
+    // Vertices still reachable from the source in the residual graph form
+    // the source side of a minimum cut; saturated edges leaving it are the cut
+    minCut({ arcs, outgoing }, source) {
+        const sourceSide = new Set([source]);
+        const queue = [source];
+        while (queue.length > 0) {
+            for (const index of outgoing.get(queue.shift())) {
+                const arc = arcs[index];
+                if (sourceSide.has(arc.to) || arc.capacity - arc.flow <= 0) continue;
+                sourceSide.add(arc.to);
+                queue.push(arc.to);
+            }
+        }
+        
+        const edges = [];
+        this.edges.forEach(({ from, to, directed }, index) => {
+            if (sourceSide.has(from) !== sourceSide.has(to) && (!directed || sourceSide.has(from))) {
+                edges.push(index);
+            }
+        });
+        
+        return {
+            sourceSide: [...sourceSide],
+            sinkSide: Object.keys(this.adjacencyList).filter(vertex => !sourceSide.has(vertex)),
+            edges
+        };
+    }
+
+    *minCutSteps(network, source, total) {
+        const cut = this.minCut(network, source);
+        const capacity = cut.edges.reduce((sum, index) => sum + this.edges[index].weight, 0);
+        const flows = this.edgeFlows(network);
+        
+        yield {
+            type: 'done',
+            message: `Luồng cực đại = ${total}; lát cắt nhỏ nhất {${cut.sourceSide.join(', ')}} | {${cut.sinkSide.join(', ')}} có dung lượng ${capacity}`,
+            flowState: flows,
+            cutState: cut,
+            visitedState: [],
+            frontierState: []
+        };
+        return { result: cut.sourceSide, maxFlow: total, flows, cut };
+    }
+
+    // Edmonds–Karp: always augment along a shortest residual path (BFS)
+    edmondsKarpAdvanced(source, sink) {
+        return collectSteps(this.edmondsKarpSteps(source, sink));
+    }
+
+    *edmondsKarpSteps(source, sink) {
+        const network = this.flowNetwork();
+        const { arcs, outgoing } = network;
+        let total = 0;
+        let augmenting = [];
+        let reached = [];
+        const snapshot = () => ({
+            flowState: this.edgeFlows(network),
+            augmentingState: augmenting.map(index => arcs[index].edge),
+            visitedState: [...reached],
+            frontierState: []
+        });
+        
+        yield {
+            type: 'init',
+            node: source,
+            message: `Luồng ban đầu bằng 0, nguồn ${source}, đích ${sink}`,
+            ...snapshot()
+        };
+        
+        for (;;) {
+            const via = new Map([[source, null]]);
+            const queue = [source];
+            while (queue.length > 0 && !via.has(sink)) {
+                for (const index of outgoing.get(queue.shift())) {
+                    const arc = arcs[index];
+                    if (via.has(arc.to) || arc.capacity - arc.flow <= 0) continue;
+                    via.set(arc.to, index);
+                    queue.push(arc.to);
+                }
+            }
+            reached = [...via.keys()];
+            if (!via.has(sink)) break;
+            
+            augmenting = [];
+            for (let vertex = sink; vertex !== source; vertex = arcs[via.get(vertex)].from) {
+                augmenting.unshift(via.get(vertex));
+            }
+            const bottleneck = Math.min(...augmenting.map(index => arcs[index].capacity - arcs[index].flow));
+            const path = [source, ...augmenting.map(index => arcs[index].to)];
+            
+            yield {
+                type: 'discover',
+                node: sink,
+                message: `BFS tìm đường tăng luồng ${path.join(' → ')}, nút cổ chai ${bottleneck}`,
+                ...snapshot()
+            };
+            
+            this.pushFlow(network, augmenting, bottleneck);
+            total += bottleneck;
+            yield {
+                type: 'augment',
+                node: sink,
+                message: `Tăng ${bottleneck} đơn vị dọc đường đi, tổng luồng = ${total}`,
+                ...snapshot()
+            };
+        }
+        
+        return yield* this.minCutSteps(network, source, total);
+    }
+
+    // Dinic: BFS levels the residual graph, then DFS pushes a blocking flow
+    // using only arcs that go exactly one level deeper
+    dinicAdvanced(source, sink) {
+        return collectSteps(this.dinicSteps(source, sink));
+    }
+
+    *dinicSteps(source, sink) {
+        const network = this.flowNetwork();
+        const { arcs, outgoing } = network;
+        let total = 0;
+        let phase = 0;
+        let levels = new Map();
+        let levelArcs = [];
+        let augmenting = [];
+        const residual = (arc) => arc.capacity - arc.flow;
+        const snapshot = () => ({
+            flowState: this.edgeFlows(network),
+            levelGraphState: levelArcs.map(index => arcs[index].edge),
+            augmentingState: augmenting.map(index => arcs[index].edge),
+            annotationState: Object.fromEntries([...levels].map(([vertex, level]) => [vertex, `L${level}`])),
+            visitedState: [...levels.keys()],
+            frontierState: []
+        });
+        
+        yield {
+            type: 'init',
+            node: source,
+            message: `Luồng ban đầu bằng 0, nguồn ${source}, đích ${sink}`,
+            ...snapshot()
+        };
+        
+        for (;;) {
+            levels = new Map([[source, 0]]);
+            const queue = [source];
+            while (queue.length > 0) {
+                const vertex = queue.shift();
+                for (const index of outgoing.get(vertex)) {
+                    const arc = arcs[index];
+                    if (levels.has(arc.to) || residual(arc) <= 0) continue;
+                    levels.set(arc.to, levels.get(vertex) + 1);
+                    queue.push(arc.to);
+                }
+            }
+            if (!levels.has(sink)) break;
+            
+            phase++;
+            const isLevelArc = (arc) => residual(arc) > 0 && levels.get(arc.to) === levels.get(arc.from) + 1;
+            levelArcs = arcs.map((arc, index) => index).filter(index => isLevelArc(arcs[index]));
+            augmenting = [];
+            yield {
+                type: 'levels',
+                node: sink,
+                message: `Pha ${phase}: đồ thị phân tầng, ${sink} ở tầng ${levels.get(sink)}`,
+                ...snapshot()
+            };
+            
+            // Per-vertex pointer to the next arc worth trying; dead ends are
+            // never revisited within the phase
+            const pointer = new Map([...levels.keys()].map(vertex => [vertex, 0]));
+            for (;;) {
+                const stack = [];
+                let vertex = source;
+                while (vertex !== sink) {
+                    const list = outgoing.get(vertex);
+                    while (pointer.get(vertex) < list.length && !isLevelArc(arcs[list[pointer.get(vertex)]])) {
+                        pointer.set(vertex, pointer.get(vertex) + 1);
+                    }
+                    
+                    if (pointer.get(vertex) < list.length) {
+                        const index = list[pointer.get(vertex)];
+                        stack.push(index);
+                        vertex = arcs[index].to;
+                        continue;
+                    }
+                    if (stack.length === 0) break;
+                    
+                    vertex = arcs[stack.pop()].from;
+                    pointer.set(vertex, pointer.get(vertex) + 1);
+                }
+                if (vertex !== sink) break;
+                
+                augmenting = stack;
+                const bottleneck = Math.min(...augmenting.map(index => residual(arcs[index])));
+                const path = [source, ...augmenting.map(index => arcs[index].to)];
+                yield {
+                    type: 'discover',
+                    node: sink,
+                    message: `Pha ${phase}: DFS theo tầng tìm ${path.join(' → ')}, nút cổ chai ${bottleneck}`,
+                    ...snapshot()
+                };
+                
+                this.pushFlow(network, augmenting, bottleneck);
+                total += bottleneck;
+                yield {
+                    type: 'augment',
+                    node: sink,
+                    message: `Tăng ${bottleneck} đơn vị, tổng luồng = ${total}`,
+                    ...snapshot()
+                };
+            }
+            augmenting = [];
+        }
+        
+        levels = new Map();
+        levelArcs = [];
+        return yield* this.minCutSteps(network, source, total);
+    }
+
+    // ----- DAG tools -----
+    // An undirected edge is a two-way street, so DAG algorithms only accept
+    // graphs where every edge is directed
+    isFullyDirected() {
+        return this.edges.every(edge => edge.directed);
+    }
+
+    inDegrees() {
+        const inDegree = new Map(Object.keys(this.adjacencyList).map(vertex => [vertex, 0]));
+        for (const vertex of Object.keys(this.adjacencyList)) {
+            for (const { node } of this.adjacencyList[vertex]) {
+                inDegree.set(node, inDegree.get(node) + 1);
+            }
+        }
+        return inDegree;
+    }
+
+    // Kahn's algorithm: repeatedly remove a vertex with no incoming edges
+    topologicalSortKahnAdvanced() {
+        return collectSteps(this.topologicalSortKahnSteps());
+    }
+
+    *topologicalSortKahnSteps() {
+        const inDegree = this.inDegrees();
+        const queue = [...inDegree.keys()].filter(vertex => inDegree.get(vertex) === 0);
+        const result = [];
+        const snapshot = () => ({
+            queueState: [...queue],
+            inDegreeState: Object.fromEntries(inDegree),
+            orderState: [...result],
+            visitedState: [...result],
+            frontierState: [...queue]
+        });
+        
+        yield {
+            type: 'init',
+            message: `Tính bậc vào, đưa các đỉnh bậc vào 0 vào queue: [${queue.join(', ')}]`,
+            ...snapshot()
+        };
+        
+        while (queue.length > 0) {
+            const node = queue.shift();
+            result.push(node);
+            
+            yield {
+                type: 'visit',
+                node,
+                message: `Lấy ${node} khỏi queue, thêm vào thứ tự tô-pô`,
+                ...snapshot()
+            };
+            
+            for (const { node: neighbor } of this.adjacencyList[node]) {
+                inDegree.set(neighbor, inDegree.get(neighbor) - 1);
+                const ready = inDegree.get(neighbor) === 0;
+                if (ready) queue.push(neighbor);
+                
+                yield {
+                    type: ready ? 'discover' : 'relax',
+                    from: node,
+                    node: neighbor,
+                    message: ready
+                        ? `Bỏ cạnh ${node} → ${neighbor}: bậc vào của ${neighbor} về 0, thêm vào queue`
+                        : `Bỏ cạnh ${node} → ${neighbor}: bậc vào của ${neighbor} còn ${inDegree.get(neighbor)}`,
+                    ...snapshot()
+                };
+            }
+        }
+        
+        if (result.length < this.nodes.size) {
+            const placed = new Set(result);
+            const cycle = this.cycleAmong(Object.keys(this.adjacencyList).filter(vertex => !placed.has(vertex)));
+            yield {
+                type: 'cycle',
+                cycle,
+                message: `Không phải DAG: chu trình ${cycle.join(' → ')} khiến các đỉnh còn lại luôn có bậc vào > 0`,
+                ...snapshot()
+            };
+            return { result, isDAG: false, cycle };
+        }
+        
+        yield {
+            type: 'done',
+            message: `Thứ tự tô-pô: ${result.join(' → ')}`,
+            ...snapshot()
+        };
+        return { result, isDAG: true, cycle: [] };
+    }
+
+    // Kahn leaves behind vertices that all still have an incoming edge from
+    // another leftover vertex, so walking those edges backwards must repeat
+    cycleAmong(vertices) {
+        const remaining = new Set(vertices);
+        const predecessor = new Map();
+        for (const vertex of remaining) {
+            for (const { node } of this.adjacencyList[vertex]) {
+                if (remaining.has(node) && !predecessor.has(node)) predecessor.set(node, vertex);
+            }
+        }
+        
+        const walk = [];
+        const seen = new Map();
+        let current = vertices[0];
+        while (!seen.has(current)) {
+            seen.set(current, walk.length);
+            walk.push(current);
+            current = predecessor.get(current);
+        }
+        
+        const cycle = walk.slice(seen.get(current)).reverse();
+        return [...cycle, cycle[0]];
+    }
+
+    // DFS variant: a vertex finishes after everything reachable from it, so
+    // reversed finishing order is topological. An edge back to a vertex still
+    // on the recursion stack (gray) closes a cycle
+    topologicalSortDFSAdvanced() {
+        return collectSteps(this.topologicalSortDFSSteps());
+    }
+
+    *topologicalSortDFSSteps() {
+        const color = new Map(Object.keys(this.adjacencyList).map(vertex => [vertex, 'white']));
+        const finished = [];
+        const stack = [];
+        const snapshot = () => ({
+            stackState: stack.map(entry => entry.node),
+            orderState: [...finished].reverse(),
+            visitedState: [...finished],
+            frontierState: stack.map(entry => entry.node)
+        });
+        
+        for (const root of color.keys()) {
+            if (color.get(root) !== 'white') continue;
+            
+            color.set(root, 'gray');
+            stack.push({ node: root, next: 0 });
+            yield {
+                type: 'visit',
+                node: root,
+                message: `Bắt đầu DFS từ ${root}`,
+                ...snapshot()
+            };
+            
+            while (stack.length > 0) {
+                const top = stack[stack.length - 1];
+                const edges = this.adjacencyList[top.node];
+                
+                if (top.next < edges.length) {
+                    const neighbor = edges[top.next++].node;
+                    
+                    if (color.get(neighbor) === 'white') {
+                        color.set(neighbor, 'gray');
+                        stack.push({ node: neighbor, next: 0 });
+                        yield {
+                            type: 'discover',
+                            from: top.node,
+                            node: neighbor,
+                            message: `Đi theo cạnh ${top.node} → ${neighbor}`,
+                            ...snapshot()
+                        };
+                    } else if (color.get(neighbor) === 'gray') {
+                        const onStack = stack.map(entry => entry.node);
+                        const cycle = [...onStack.slice(onStack.indexOf(neighbor)), neighbor];
+                        yield {
+                            type: 'cycle',
+                            from: top.node,
+                            node: neighbor,
+                            cycle,
+                            message: `Cạnh ngược ${top.node} → ${neighbor}: chu trình ${cycle.join(' → ')}, không phải DAG`,
+                            ...snapshot()
+                        };
+                        return { result: [...finished].reverse(), isDAG: false, cycle };
+                    }
+                    continue;
+                }
+                
+                stack.pop();
+                color.set(top.node, 'black');
+                finished.push(top.node);
+                yield {
+                    type: 'finish',
+                    node: top.node,
+                    message: `${top.node} hoàn tất, đặt lên đầu thứ tự tô-pô`,
+                    ...snapshot()
+                };
+            }
+        }
+        
+        const result = [...finished].reverse();
+        yield {
+            type: 'done',
+            message: `Thứ tự tô-pô: ${result.join(' → ')}`,
+            ...snapshot()
+        };
+        return { result, isDAG: true, cycle: [] };
+    }
+
+    // Longest (critical) path of a weighted DAG: relax edges in topological
+    // order keeping the maximum instead of the minimum
+    longestPathAdvanced() {
+        return collectSteps(this.longestPathSteps());
+    }
+
+    *longestPathSteps() {
+        const { result: order, isDAG, cycle } = this.topologicalSortKahnAdvanced();
+        if (!isDAG) {
+            yield {
+                type: 'cycle',
+                cycle,
+                message: `Không phải DAG: chu trình ${cycle.join(' → ')} làm đường đi dài vô hạn`
+            };
+            return { result: [], isDAG: false, cycle, distances: new Map(), length: 0 };
+        }
+        
+        // Every vertex may start a path, so all distances start at 0
+        const distances = new Map(order.map(vertex => [vertex, 0]));
+        const previous = new Map(order.map(vertex => [vertex, null]));
+        const done = [];
+        const snapshot = () => ({
+            orderState: order,
+            visitedState: [...done],
+            distanceState: Object.fromEntries(distances)
+        });
+        
+        yield {
+            type: 'init',
+            message: `Xét các đỉnh theo thứ tự tô-pô: ${order.join(' → ')}`,
+            ...snapshot()
+        };
+        
+        for (const node of order) {
+            done.push(node);
+            yield {
+                type: 'visit',
+                node,
+                distance: distances.get(node),
+                message: `Đường dài nhất kết thúc tại ${node}: ${distances.get(node)}`,
+                ...snapshot()
+            };
+            
+            for (const { node: neighbor, weight } of this.adjacencyList[node]) {
+                const candidate = distances.get(node) + weight;
+                const current = distances.get(neighbor);
+                const longer = candidate > current;
+                if (longer) {
+                    distances.set(neighbor, candidate);
+                    previous.set(neighbor, node);
+                }
+                
+                yield {
+                    type: longer ? 'relax' : 'skip',
+                    from: node,
+                    node: neighbor,
+                    distance: distances.get(neighbor),
+                    message: longer
+                        ? `Cập nhật len[${neighbor}] = ${distances.get(node)} + ${weight} = ${candidate}`
+                        : `Giữ len[${neighbor}] = ${current} vì ${distances.get(node)} + ${weight} = ${candidate} không lớn hơn`,
+                    ...snapshot()
+                };
+            }
+        }
+        
+        let end = order[0];
+        for (const vertex of order) {
+            if (distances.get(vertex) > distances.get(end)) end = vertex;
+        }
+        const path = [];
+        for (let vertex = end; vertex !== null && vertex !== undefined; vertex = previous.get(vertex)) {
+            path.unshift(vertex);
+        }
+        const length = distances.get(end) ?? 0;
+        
+        yield {
+            type: 'done',
+            node: end,
+            path,
+            message: `Đường đi dài nhất: ${path.join(' → ')} (độ dài ${length})`,
+            ...snapshot()
+        };
+        return { result: path, isDAG: true, cycle: [], distances, previous, length };
+    }
+
+    // ----- Cycle detection -----
+    // White/gray/black DFS. Gray vertices are on the current path, so meeting
+    // one closes a cycle; an undirected tree edge is ignored once on the way
+    // back so it is not mistaken for a two-vertex cycle
+    findCycle() {
+        const { cycle } = collectSteps(this.findCycleSteps());
+        return cycle.length > 0 ? cycle : null;
+    }
+
+    findCycleAdvanced() {
+        return collectSteps(this.findCycleSteps());
+    }
+
+    *findCycleSteps() {
+        const color = new Map(Object.keys(this.adjacencyList).map(vertex => [vertex, 'white']));
+        const finished = [];
+        const stack = [];
+        const snapshot = () => ({
+            stackState: stack.map(entry => entry.node),
+            finishedState: [...finished],
+            visitedState: [...finished],
+            frontierState: stack.map(entry => entry.node)
+        });
+        const isTwoWay = (from, to) => this.edges.some(edge => !edge.directed && this.edgeMatches(edge, from, to));
+        
+        for (const root of color.keys()) {
+            if (color.get(root) !== 'white') continue;
+            
+            color.set(root, 'gray');
+            stack.push({ node: root, next: 0, parent: null });
+            yield {
+                type: 'visit',
+                node: root,
+                message: `Bắt đầu DFS từ ${root}, tô xám`,
+                ...snapshot()
+            };
+            
+            while (stack.length > 0) {
+                const top = stack[stack.length - 1];
+                const edges = this.adjacencyList[top.node];
+                
+                if (top.next < edges.length) {
+                    const neighbor = edges[top.next++].node;
+                    
+                    if (neighbor === top.parent) {
+                        top.parent = null;
+                        continue;
+                    }
+                    
+                    if (color.get(neighbor) === 'white') {
+                        color.set(neighbor, 'gray');
+                        stack.push({
+                            node: neighbor,
+                            next: 0,
+                            parent: isTwoWay(top.node, neighbor) ? top.node : null
+                        });
+                        yield {
+                            type: 'discover',
+                            from: top.node,
+                            node: neighbor,
+                            message: `Đi theo cạnh ${top.node} → ${neighbor}, tô xám ${neighbor}`,
+                            ...snapshot()
+                        };
+                    } else if (color.get(neighbor) === 'gray') {
+                        const onStack = stack.map(entry => entry.node);
+                        const cycle = [...onStack.slice(onStack.indexOf(neighbor)), neighbor];
+                        yield {
+                            type: 'cycle',
+                            from: top.node,
+                            node: neighbor,
+                            cycle,
+                            message: `${neighbor} đang xám: chu trình ${cycle.join(' → ')}`,
+                            ...snapshot()
+                        };
+                        return { result: cycle, hasCycle: true, cycle };
+                    }
+                    continue;
+                }
+                
+                stack.pop();
+                color.set(top.node, 'black');
+                finished.push(top.node);
+                yield {
+                    type: 'finish',
+                    node: top.node,
+                    message: `${top.node} hoàn tất, tô đen`,
+                    ...snapshot()
+                };
+            }
+        }
+        
+        yield {
+            type: 'done',
+            message: 'Không có chu trình',
+            ...snapshot()
+        };
+        return { result: [], hasCycle: false, cycle: [] };
+    }
+
+    // ----- Components -----
+    // Every edge as a two-way link, tagged with its index in this.edges so
+    // parallel edges stay distinguishable
+    undirectedNeighbors() {
+        const neighbors = new Map(Object.keys(this.adjacencyList).map(vertex => [vertex, []]));
+        this.edges.forEach(({ from, to }, index) => {
+            neighbors.get(from).push({ node: to, edge: index });
+            if (from !== to) neighbors.get(to).push({ node: from, edge: index });
+        });
+        return neighbors;
+    }
+
+    // BFS restarted from every unvisited vertex; edge directions are
+    // ignored, so on a directed graph these are the weak components
+    connectedComponentsAdvanced() {
+        return collectSteps(this.connectedComponentsSteps());
+    }
+
+    *connectedComponentsSteps() {
+        const neighbors = this.undirectedNeighbors();
+        const seen = new Set();
+        const queue = [];
+        const components = [];
+        const snapshot = () => ({
+            queueState: [...queue],
+            componentsState: components.map(component => [...component]),
+            visitedState: [...seen],
+            frontierState: [...queue]
+        });
+        
+        for (const root of neighbors.keys()) {
+            if (seen.has(root)) continue;
+            
+            const component = [root];
+            components.push(component);
+            seen.add(root);
+            queue.push(root);
+            yield {
+                type: 'visit',
+                node: root,
+                message: `Thành phần #${components.length} bắt đầu từ ${root}`,
+                ...snapshot()
+            };
+            
+            while (queue.length > 0) {
+                const vertex = queue.shift();
+                for (const { node } of neighbors.get(vertex)) {
+                    if (seen.has(node)) continue;
+                    
+                    seen.add(node);
+                    component.push(node);
+                    queue.push(node);
+                    yield {
+                        type: 'discover',
+                        from: vertex,
+                        node,
+                        message: `${node} thuộc thành phần #${components.length}`,
+                        ...snapshot()
+                    };
+                }
+            }
+            
+            yield {
+                type: 'component',
+                node: root,
+                message: `Thành phần #${components.length}: {${component.join(', ')}}`,
+                ...snapshot()
+            };
+        }
+        
+        const weak = this.edges.some(edge => edge.directed) ? ' (liên thông yếu)' : '';
+        yield {
+            type: 'done',
+            message: `${components.length} thành phần liên thông${weak}`,
+            ...snapshot()
+        };
+        return { result: components.flat(), components };
+    }
+
+    // Tarjan: one DFS, a vertex whose low-link equals its discovery time is
+    // the root of a strongly connected component sitting on top of the stack
+    tarjanSCCAdvanced() {
+        return collectSteps(this.tarjanSCCSteps());
+    }
+
+    *tarjanSCCSteps() {
+        const disc = new Map();
+        const low = new Map();
+        const stack = [];
+        const onStack = new Set();
+        const callStack = [];
+        const tree = [];
+        const components = [];
+        let time = 0;
+        const snapshot = () => ({
+            stackState: [...stack],
+            componentsState: components.map(component => [...component]),
+            annotationState: Object.fromEntries([...disc.keys()].map(vertex => [vertex, `${disc.get(vertex)}/${low.get(vertex)}`])),
+            treeState: tree.map(edge => [...edge]),
+            visitedState: components.flat(),
+            frontierState: callStack.map(entry => entry.node)
+        });
+        const enter = (vertex) => {
+            disc.set(vertex, time);
+            low.set(vertex, time);
+            time++;
+            stack.push(vertex);
+            onStack.add(vertex);
+            callStack.push({ node: vertex, next: 0 });
+        };
+        
+        for (const root of Object.keys(this.adjacencyList)) {
+            if (disc.has(root)) continue;
+            
+            enter(root);
+            yield {
+                type: 'visit',
+                node: root,
+                message: `Bắt đầu DFS từ ${root}: disc = low = ${disc.get(root)}`,
+                ...snapshot()
+            };
+            
+            while (callStack.length > 0) {
+                const top = callStack[callStack.length - 1];
+                const edges = this.adjacencyList[top.node];
+                
+                if (top.next < edges.length) {
+                    const neighbor = edges[top.next++].node;
+                    
+                    if (!disc.has(neighbor)) {
+                        tree.push([top.node, neighbor]);
+                        enter(neighbor);
+                        yield {
+                            type: 'discover',
+                            from: top.node,
+                            node: neighbor,
+                            message: `Cạnh cây ${top.node} → ${neighbor}: disc[${neighbor}] = ${disc.get(neighbor)}`,
+                            ...snapshot()
+                        };
+                    } else if (onStack.has(neighbor) && disc.get(neighbor) < low.get(top.node)) {
+                        low.set(top.node, disc.get(neighbor));
+                        yield {
+                            type: 'relax',
+                            from: top.node,
+                            node: neighbor,
+                            message: `${neighbor} còn trên ngăn xếp: low[${top.node}] = ${low.get(top.node)}`,
+                            ...snapshot()
+                        };
+                    }
+                    continue;
+                }
+                
+                callStack.pop();
+                const parent = callStack[callStack.length - 1];
+                if (parent && low.get(top.node) < low.get(parent.node)) {
+                    low.set(parent.node, low.get(top.node));
+                }
+                
+                if (low.get(top.node) !== disc.get(top.node)) {
+                    yield {
+                        type: 'finish',
+                        node: top.node,
+                        message: `${top.node} hoàn tất, low = ${low.get(top.node)} < disc = ${disc.get(top.node)}`,
+                        ...snapshot()
+                    };
+                    continue;
+                }
+                
+                const component = [];
+                let vertex;
+                do {
+                    vertex = stack.pop();
+                    onStack.delete(vertex);
+                    component.push(vertex);
+                } while (vertex !== top.node);
+                components.push(component);
+                yield {
+                    type: 'component',
+                    node: top.node,
+                    message: `low[${top.node}] = disc[${top.node}]: thành phần liên thông mạnh {${component.join(', ')}}`,
+                    ...snapshot()
+                };
+            }
+        }
+        
+        yield {
+            type: 'done',
+            message: `${components.length} thành phần liên thông mạnh`,
+            ...snapshot()
+        };
+        return { result: components.flat(), components, disc, low };
+    }
+
+    // Kosaraju: record DFS finish order, then peel components off the
+    // transposed graph starting from the vertex that finished last
+    kosarajuSCCAdvanced() {
+        return collectSteps(this.kosarajuSCCSteps());
+    }
+
+    *kosarajuSCCSteps() {
+        const disc = new Map();
+        const finish = new Map();
+        const order = [];
+        const stack = [];
+        const components = [];
+        const assigned = new Set();
+        let time = 0;
+        const snapshot = () => ({
+            stackState: stack.map(entry => entry.node),
+            orderState: [...order],
+            componentsState: components.map(component => [...component]),
+            annotationState: Object.fromEntries([...disc.keys()].map(vertex => [vertex, `${disc.get(vertex)}/${finish.get(vertex) ?? '-'}`])),
+            visitedState: [...assigned],
+            frontierState: stack.map(entry => entry.node)
+        });
+        
+        // Pass 1: finish order on the original graph
+        for (const root of Object.keys(this.adjacencyList)) {
+            if (disc.has(root)) continue;
+            
+            disc.set(root, time++);
+            stack.push({ node: root, next: 0 });
+            yield {
+                type: 'visit',
+                node: root,
+                message: `Lượt 1: DFS từ ${root}`,
+                ...snapshot()
+            };
+            
+            while (stack.length > 0) {
+                const top = stack[stack.length - 1];
+                const edges = this.adjacencyList[top.node];
+                
+                if (top.next < edges.length) {
+                    const neighbor = edges[top.next++].node;
+                    if (disc.has(neighbor)) continue;
+                    
+                    disc.set(neighbor, time++);
+                    stack.push({ node: neighbor, next: 0 });
+                    yield {
+                        type: 'discover',
+                        from: top.node,
+                        node: neighbor,
+                        message: `Lượt 1: ${top.node} → ${neighbor}`,
+                        ...snapshot()
+                    };
+                    continue;
+                }
+                
+                stack.pop();
+                finish.set(top.node, time++);
+                order.push(top.node);
+                yield {
+                    type: 'finish',
+                    node: top.node,
+                    message: `Lượt 1: ${top.node} hoàn tất tại thời điểm ${finish.get(top.node)}`,
+                    ...snapshot()
+                };
+            }
+        }
+        
+        const transposed = Object.fromEntries(Object.keys(this.adjacencyList).map(vertex => [vertex, []]));
+        for (const vertex of Object.keys(this.adjacencyList)) {
+            this.adjacencyList[vertex].forEach(({ node }) => transposed[node].push(vertex));
+        }
+        
+        // Pass 2: every DFS tree of the transposed graph is one component
+        for (const root of [...order].reverse()) {
+            if (assigned.has(root)) continue;
+            
+            const component = [root];
+            components.push(component);
+            assigned.add(root);
+            stack.push({ node: root, next: 0 });
+            yield {
+                type: 'visit',
+                node: root,
+                message: `Lượt 2: ${root} kết thúc muộn nhất còn lại, DFS trên đồ thị đảo`,
+                ...snapshot()
+            };
+            
+            while (stack.length > 0) {
+                const top = stack[stack.length - 1];
+                if (top.next >= transposed[top.node].length) {
+                    stack.pop();
+                    continue;
+                }
+                
+                const neighbor = transposed[top.node][top.next++];
+                if (assigned.has(neighbor)) continue;
+                
+                assigned.add(neighbor);
+                component.push(neighbor);
+                stack.push({ node: neighbor, next: 0 });
+                yield {
+                    type: 'discover',
+                    node: neighbor,
+                    path: [neighbor, top.node],
+                    message: `Lượt 2: cạnh ${neighbor} → ${top.node} đảo chiều, ${neighbor} cùng thành phần`,
+                    ...snapshot()
+                };
+            }
+            
+            yield {
+                type: 'component',
+                node: root,
+                message: `Thành phần liên thông mạnh {${component.join(', ')}}`,
+                ...snapshot()
+            };
+        }
+        
+        yield {
+            type: 'done',
+            message: `${components.length} thành phần liên thông mạnh`,
+            ...snapshot()
+        };
+        return { result: components.flat(), components };
+    }
+
+    // Bridges and articulation points from discovery/low-link values on the
+    // undirected view: a tree edge u-v is a bridge when low[v] > disc[u], and
+    // u is an articulation point when low[v] >= disc[u] (or it is a root
+    // with more than one DFS child)
+    bridgesAdvanced() {
+        return collectSteps(this.bridgesSteps());
+    }
+
+    *bridgesSteps() {
+        const neighbors = this.undirectedNeighbors();
+        const disc = new Map();
+        const low = new Map();
+        const callStack = [];
+        const tree = [];
+        const bridges = [];
+        const articulationPoints = new Set();
+        let time = 0;
+        const snapshot = () => ({
+            stackState: callStack.map(entry => entry.node),
+            annotationState: Object.fromEntries([...disc.keys()].map(vertex => [vertex, `${disc.get(vertex)}/${low.get(vertex)}`])),
+            treeState: tree.map(edge => [...edge]),
+            bridgeState: bridges.map(edge => [...edge]),
+            articulationState: [...articulationPoints],
+            visitedState: [...disc.keys()],
+            frontierState: callStack.map(entry => entry.node)
+        });
+        const enter = (vertex, parentEdge) => {
+            disc.set(vertex, time);
+            low.set(vertex, time);
+            time++;
+            callStack.push({ node: vertex, next: 0, parentEdge, children: 0 });
+        };
+        
+        for (const root of neighbors.keys()) {
+            if (disc.has(root)) continue;
+            
+            enter(root, null);
+            yield {
+                type: 'visit',
+                node: root,
+                message: `Gốc DFS ${root}: disc = low = ${disc.get(root)}`,
+                ...snapshot()
+            };
+            
+            while (callStack.length > 0) {
+                const top = callStack[callStack.length - 1];
+                const list = neighbors.get(top.node);
+                
+                if (top.next < list.length) {
+                    const { node: neighbor, edge } = list[top.next++];
+                    if (edge === top.parentEdge) continue;
+                    
+                    if (!disc.has(neighbor)) {
+                        top.children++;
+                        tree.push([top.node, neighbor]);
+                        enter(neighbor, edge);
+                        yield {
+                            type: 'discover',
+                            from: top.node,
+                            node: neighbor,
+                            message: `Cạnh cây ${top.node} – ${neighbor}: disc[${neighbor}] = ${disc.get(neighbor)}`,
+                            ...snapshot()
+                        };
+                    } else if (disc.get(neighbor) < low.get(top.node)) {
+                        low.set(top.node, disc.get(neighbor));
+                        yield {
+                            type: 'relax',
+                            from: top.node,
+                            node: neighbor,
+                            message: `Cạnh ngược ${top.node} – ${neighbor}: low[${top.node}] = ${low.get(top.node)}`,
+                            ...snapshot()
+                        };
+                    }
+                    continue;
+                }
+                
+                callStack.pop();
+                const parent = callStack[callStack.length - 1];
+                
+                if (!parent) {
+                    if (top.children > 1) articulationPoints.add(top.node);
+                    yield {
+                        type: top.children > 1 ? 'articulation' : 'finish',
+                        node: top.node,
+                        message: top.children > 1
+                            ? `Gốc ${top.node} có ${top.children} con trong cây DFS: là đỉnh khớp`
+                            : `Gốc ${top.node} hoàn tất`,
+                        ...snapshot()
+                    };
+                    continue;
+                }
+                
+                low.set(parent.node, Math.min(low.get(parent.node), low.get(top.node)));
+                
+                const notes = [`${top.node} hoàn tất, low = ${low.get(top.node)}`];
+                const isBridge = low.get(top.node) > disc.get(parent.node);
+                if (isBridge) {
+                    bridges.push([parent.node, top.node]);
+                    notes.push(`${parent.node} – ${top.node} là cầu`);
+                }
+                if (parent.parentEdge !== null && low.get(top.node) >= disc.get(parent.node) && !articulationPoints.has(parent.node)) {
+                    articulationPoints.add(parent.node);
+                    notes.push(`${parent.node} là đỉnh khớp`);
+                }
+                yield {
+                    type: isBridge ? 'bridge' : 'finish',
+                    from: parent.node,
+                    node: top.node,
+                    message: notes.join('; '),
+                    ...snapshot()
+                };
+            }
+        }
+        
+        const articulation = [...articulationPoints];
+        yield {
+            type: 'done',
+            message: `${bridges.length} cầu, ${articulation.length} đỉnh khớp`,
+            ...snapshot()
+        };
+        return { result: articulation, bridges, articulationPoints: articulation, disc, low };
+    }
+
+    // ----- Minimum spanning tree -----
+    // Both algorithms ignore edge directions and restart in every component,
+    // so a disconnected graph yields a minimum spanning forest
+
+    // Kruskal: scan edges by weight, keeping those that join two different
+    // sets of a disjoint-set forest (union by rank + path compression)
+    kruskalAdvanced() {
+        return collectSteps(this.kruskalSteps());
+    }
+
+    *kruskalSteps() {
+        const vertices = Object.keys(this.adjacencyList);
+        const parent = new Map(vertices.map(vertex => [vertex, vertex]));
+        const rank = new Map(vertices.map(vertex => [vertex, 0]));
+        const sorted = [...this.edges].sort((a, b) => a.weight - b.weight);
+        const chosen = [];
+        const joined = new Set();
+        let total = 0;
+        const snapshot = () => ({
+            mstState: chosen.map(({ from, to }) => [from, to]),
+            annotationState: Object.fromEntries([...parent].map(([vertex, root]) => [vertex, `${root}/${rank.get(vertex)}`])),
+            visitedState: [...joined],
+            frontierState: []
+        });
+        
+        // Iterative find so the compressed vertices can be reported
+        const find = (vertex) => {
+            let root = vertex;
+            while (parent.get(root) !== root) root = parent.get(root);
+            
+            const compressed = [];
+            while (parent.get(vertex) !== root) {
+                const next = parent.get(vertex);
+                parent.set(vertex, root);
+                compressed.push(vertex);
+                vertex = next;
+            }
+            return { root, compressed };
+        };
+        
+        yield {
+            type: 'init',
+            message: `Sắp xếp ${sorted.length} cạnh theo trọng số: ${sorted.map(({ from, to, weight }) => `${from}–${to}(${weight})`).join(', ')}`,
+            ...snapshot()
+        };
+        
+        for (const edge of sorted) {
+            const { from, to, weight } = edge;
+            const a = find(from);
+            const b = find(to);
+            const compressed = [...a.compressed, ...b.compressed];
+            
+            if (compressed.length > 0) {
+                yield {
+                    type: 'compress',
+                    message: `Nén đường đi: ${compressed.join(', ')} trỏ thẳng tới gốc`,
+                    ...snapshot()
+                };
+            }
+            
+            if (a.root === b.root) {
+                yield {
+                    type: 'reject',
+                    node: to,
+                    edge: [from, to],
+                    message: `Loại ${from} – ${to} (${weight}): cùng tập gốc ${a.root}, sẽ tạo chu trình`,
+                    ...snapshot()
+                };
+                continue;
+            }
+            
+            // Union by rank: the shallower tree hangs under the deeper one
+            const [high, low] = rank.get(a.root) >= rank.get(b.root) ? [a.root, b.root] : [b.root, a.root];
+            parent.set(low, high);
+            if (rank.get(low) === rank.get(high)) rank.set(high, rank.get(high) + 1);
+            
+            chosen.push(edge);
+            total += weight;
+            joined.add(from);
+            joined.add(to);
+            yield {
+                type: 'accept',
+                node: to,
+                edge: [from, to],
+                message: `Chọn ${from} – ${to} (${weight}): gộp tập ${low} vào ${high}, tổng = ${total}`,
+                ...snapshot()
+            };
+        }
+        
+        const trees = vertices.filter(vertex => find(vertex).root === vertex).length;
+        yield {
+            type: 'done',
+            message: trees > 1
+                ? `Rừng khung nhỏ nhất gồm ${trees} cây, tổng trọng số ${total}`
+                : `Cây khung nhỏ nhất, tổng trọng số ${total}`,
+            ...snapshot()
+        };
+        return { result: [...joined], edges: chosen, totalWeight: total, trees };
+    }
+
+    // Prim: grow one tree at a time, always taking the cheapest edge that
+    // leaves it; key[v] is the lightest known edge from the tree to v
+    primAdvanced() {
+        return collectSteps(this.primSteps());
+    }
+
+    *primSteps() {
+        const neighbors = this.undirectedNeighbors();
+        const key = new Map([...neighbors.keys()].map(vertex => [vertex, Infinity]));
+        const via = new Map();
+        const inTree = new Set();
+        const order = [];
+        const chosen = [];
+        const priorityQueue = new PriorityQueue();
+        let total = 0;
+        let trees = 0;
+        const snapshot = () => ({
+            priorityQueueState: priorityQueue
+                .toSortedArray()
+                .map(item => `${item.key}(${item.priority})`),
+            mstState: chosen.map(({ from, to }) => [from, to]),
+            distanceState: Object.fromEntries(key),
+            visitedState: [...inTree],
+            frontierState: priorityQueue.heap.map(item => item.key)
+        });
+        
+        for (const root of neighbors.keys()) {
+            if (inTree.has(root)) continue;
+            
+            trees++;
+            key.set(root, 0);
+            priorityQueue.insert(root, 0);
+            yield {
+                type: 'init',
+                node: root,
+                message: `Cây #${trees} bắt đầu từ ${root}: key[${root}] = 0`,
+                ...snapshot()
+            };
+            
+            while (!priorityQueue.isEmpty()) {
+                const { key: current } = priorityQueue.extractMin();
+                inTree.add(current);
+                order.push(current);
+                
+                const edge = via.get(current);
+                if (edge) {
+                    chosen.push(edge);
+                    total += edge.weight;
+                    yield {
+                        type: 'accept',
+                        node: current,
+                        edge: [edge.from, edge.to],
+                        message: `Lấy ${current} khỏi heap, chọn ${edge.from} – ${edge.to} (${edge.weight}), tổng = ${total}`,
+                        ...snapshot()
+                    };
+                } else {
+                    yield {
+                        type: 'settle',
+                        node: current,
+                        message: `Lấy ${current} khỏi heap`,
+                        ...snapshot()
+                    };
+                }
+                
+                for (const { node, edge: index } of neighbors.get(current)) {
+                    if (inTree.has(node)) continue;
+                    
+                    const candidate = this.edges[index];
+                    if (candidate.weight < key.get(node)) {
+                        const replaced = via.get(node);
+                        key.set(node, candidate.weight);
+                        via.set(node, candidate);
+                        priorityQueue.insert(node, candidate.weight);
+                        yield {
+                            type: 'relax',
+                            from: current,
+                            node,
+                            message: replaced
+                                ? `key[${node}] = ${candidate.weight}: ${current} – ${node} rẻ hơn ${replaced.from} – ${replaced.to}`
+                                : `key[${node}] = ${candidate.weight} qua ${current} – ${node}`,
+                            ...snapshot()
+                        };
+                    } else {
+                        yield {
+                            type: 'reject',
+                            node,
+                            edge: [candidate.from, candidate.to],
+                            message: `Loại ${current} – ${node} (${candidate.weight}): key[${node}] = ${key.get(node)} không lớn hơn`,
+                            ...snapshot()
+                        };
+                    }
+                }
+            }
+        }
+        
+        yield {
+            type: 'done',
+            message: trees > 1
+                ? `Rừng khung nhỏ nhất gồm ${trees} cây, tổng trọng số ${total}`
+                : `Cây khung nhỏ nhất, tổng trọng số ${total}`,
+            ...snapshot()
+        };
+        return { result: order, edges: chosen, totalWeight: total, trees };
+    }
+
+    // ----- Heuristic search -----
+    // One priority-queue search covering four strategies: BFS ranks vertices
+    // by discovery order, Dijkstra by g, greedy best-first by h and A* by
+    // g + h. Only Dijkstra and A* revise a vertex once it has been reached
+    searchAdvanced(start, goal, strategy, heuristic = () => 0) {
+        return collectSteps(this.searchSteps(start, goal, strategy, heuristic));
+    }
+
+    *searchSteps(start, goal, strategy, heuristic = () => 0) {
+        const g = new Map([[start, 0]]);
+        const previous = new Map([[start, null]]);
+        const closed = new Set();
+        const open = new PriorityQueue();
+        const improves = strategy === 'dijkstra' || strategy === 'astar';
+        let discovered = 0;
+        const rank = (vertex) => {
+            switch (strategy) {
+                case 'bfs': return discovered++;
+                case 'greedy': return heuristic(vertex);
+                case 'astar': return g.get(vertex) + heuristic(vertex);
+                default: return g.get(vertex);
+            }
+        };
+        const snapshot = () => ({
+            openState: open.heap.map(item => item.key),
+            closedState: [...closed],
+            visitedState: [...closed],
+            frontierState: open.heap.map(item => item.key)
+        });
+        
+        open.insert(start, rank(start));
+        yield {
+            type: 'init',
+            node: start,
+            message: `Đưa ${start} vào tập mở`,
+            ...snapshot()
+        };
+        
+        while (!open.isEmpty()) {
+            const { key: current } = open.extractMin();
+            closed.add(current);
+            
+            if (current === goal) {
+                const path = this.buildPath(previous, start, goal);
+                yield {
+                    type: 'done',
+                    node: current,
+                    path,
+                    message: `Tới đích ${goal}: ${path.length - 1} bước, chi phí ${+g.get(goal).toFixed(2)}`,
+                    ...snapshot()
+                };
+                return { result: path, path, cost: g.get(goal), expanded: closed.size };
+            }
+            
+            for (const { node, weight } of this.adjacencyList[current]) {
+                if (closed.has(node)) continue;
+                
+                const cost = g.get(current) + weight;
+                if (g.has(node) && (!improves || cost >= g.get(node))) continue;
+                
+                g.set(node, cost);
+                previous.set(node, current);
+                open.insert(node, rank(node));
+            }
+            
+            yield {
+                type: 'expand',
+                node: current,
+                message: `Mở rộng ${current}: g = ${+g.get(current).toFixed(2)}, h = ${+heuristic(current).toFixed(2)}`,
+                ...snapshot()
+            };
+        }
+        
+        yield {
+            type: 'done',
+            message: `Không có đường tới ${goal}`,
+            ...snapshot()
+        };
+        return { result: [], path: [], cost: Infinity, expanded: closed.size };
+    }
+
+    // Reset graph state
+    reset() {
+        this.nodes.forEach(node => {
+            node.visited = false;
+            node.color = CONFIG.THEMES[this.currentTheme].primary;
+            node.distance = Infinity;
+            node.previous = null;
+            node.annotation = null;
+            node.colorClass = null;
+        });
+        
+        this.edges.forEach(edge => {
+            edge.animated = false;
+            edge.color = null;
+            edge.flow = null;
+        });
+        
+        this.isAnimating = false;
+    }
+
+    // Change theme
+    setTheme(theme) {
+        if (Object.hasOwn(CONFIG.THEMES, theme)) {
+            this.currentTheme = theme;
+            document.documentElement.style.setProperty('--text-accent', CONFIG.THEMES[theme].primary);
+        }
+    }
+}
+
+// ===== GRAPH LAYOUTS =====
+const LAYOUT_MARGIN = 50;
+
+// Each layout returns a Map of vertex id -> { x, y } inside `area` (a world
+// rectangle, the default canvas size unless given), leaving the graph
+// untouched so the caller decides whether to animate
+class GraphLayout {
+    static compute(name, graph, { start, area } = {}) {
+        switch (name) {
+            case 'force': return this.forceDirected(graph, { area });
+            case 'circular': return this.circular([...graph.nodes.keys()], area);
+            case 'layered': return this.layered(graph, start, area);
+            case 'grid': return this.grid([...graph.nodes.keys()], null, area);
+            default: throw new Error(`Unknown layout: ${name}`);
+        }
+    }
+
+    static bounds(area = { x: 0, y: 0, width: CONFIG.CANVAS.width, height: CONFIG.CANVAS.height }) {
+        return {
+            left: area.x + LAYOUT_MARGIN,
+            top: area.y + LAYOUT_MARGIN,
+            width: Math.max(0, area.width - 2 * LAYOUT_MARGIN),
+            height: Math.max(0, area.height - 2 * LAYOUT_MARGIN)
+        };
+    }
+
+    static circular(ids, area) {
+        const { left, top, width, height } = this.bounds(area);
+        const centerX = left + width / 2;
+        const centerY = top + height / 2;
+        const radius = Math.min(width, height) / 2;
+        
+        return new Map(ids.map((id, i) => {
+            const angle = (2 * Math.PI * i) / ids.length - Math.PI / 2;
+            return [id, { x: centerX + radius * Math.cos(angle), y: centerY + radius * Math.sin(angle) }];
+        }));
+    }
+
+    // Without an explicit column count, pick the one that keeps cells
+    // closest to the canvas aspect ratio
+    static grid(ids, columns = null, area) {
+        const { left, top, width, height } = this.bounds(area);
+        columns = columns || Math.max(1, Math.ceil(Math.sqrt(ids.length * width / height)));
+        const rows = Math.max(1, Math.ceil(ids.length / columns));
+        const cellWidth = columns > 1 ? width / (columns - 1) : 0;
+        const cellHeight = rows > 1 ? height / (rows - 1) : 0;
+        
+        return new Map(ids.map((id, i) => [id, {
+            x: columns > 1 ? left + (i % columns) * cellWidth : left + width / 2,
+            y: rows > 1 ? top + Math.floor(i / columns) * cellHeight : top + height / 2
+        }]));
+    }
+
+    // One row per BFS level from the start vertex; vertices it cannot reach
+    // are laid out as extra levels below, one BFS per remaining component
+    static layered(graph, start, area) {
+        const levels = new Map();
+        let depth = 0;
+        const roots = [start, ...graph.nodes.keys()].filter(id => graph.nodes.has(id));
+        
+        for (const root of roots) {
+            if (levels.has(root)) continue;
+            
+            const { levels: reached } = graph.bfsAdvanced(root);
+            let deepest = 0;
+            for (const [id, level] of reached) {
+                if (levels.has(id)) continue;
+                levels.set(id, depth + level);
+                deepest = Math.max(deepest, level);
+            }
+            depth += deepest + 1;
+        }
+        
+        const rows = [];
+        for (const [id, level] of levels) {
+            (rows[level] ||= []).push(id);
+        }
+        return this.rows(rows, area);
+    }
+
+    // Stack groups of vertices as evenly spaced horizontal rows
+    static rows(rows, area) {
+        const { left, top, width, height } = this.bounds(area);
+        const rowGap = rows.length > 1 ? height / (rows.length - 1) : 0;
+        const positions = new Map();
+        
+        rows.forEach((row, level) => {
+            row.forEach((id, i) => {
+                positions.set(id, {
+                    x: left + (width * (i + 1)) / (row.length + 1),
+                    y: rows.length > 1 ? top + level * rowGap : top + height / 2
+                });
+            });
+        });
+        return positions;
+    }
+
+    // Fruchterman–Reingold: springs pull neighbours together, every pair
+    // repels, and a cooling temperature caps how far a vertex moves per step
+    static forceDirected(graph, { iterations = 300, area } = {}) {
+        const ids = [...graph.nodes.keys()];
+        const { left, top, width, height } = this.bounds(area);
+        const k = Math.sqrt((width * height) / Math.max(1, ids.length));
+        
+        // Start from the current drawing; coincident vertices are spread on a
+        // small circle so repulsion has a direction to push them
+        const positions = new Map(ids.map((id, i) => {
+            const { x, y } = graph.nodes.get(id).position;
+            const angle = (2 * Math.PI * i) / ids.length;
+            return [id, { x: x + Math.cos(angle), y: y + Math.sin(angle) }];
+        }));
+        
+        let temperature = width / 10;
+        const cooling = temperature / iterations;
+        
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            const displacement = new Map(ids.map(id => [id, { x: 0, y: 0 }]));
+            
+            for (let i = 0; i < ids.length; i++) {
+                for (let j = i + 1; j < ids.length; j++) {
+                    const a = positions.get(ids[i]);
+                    const b = positions.get(ids[j]);
+                    const dx = a.x - b.x;
+                    const dy = a.y - b.y;
+                    const distance = Math.max(0.01, Math.sqrt(dx * dx + dy * dy));
+                    const force = (k * k) / distance;
+                    
+                    displacement.get(ids[i]).x += (dx / distance) * force;
+                    displacement.get(ids[i]).y += (dy / distance) * force;
+                    displacement.get(ids[j]).x -= (dx / distance) * force;
+                    displacement.get(ids[j]).y -= (dy / distance) * force;
+                }
+            }
+            
+            graph.edges.forEach(({ from, to }) => {
+                const a = positions.get(from);
+                const b = positions.get(to);
+                const dx = a.x - b.x;
+                const dy = a.y - b.y;
+                const distance = Math.max(0.01, Math.sqrt(dx * dx + dy * dy));
+                const force = (distance * distance) / k;
+                
+                displacement.get(from).x -= (dx / distance) * force;
+                displacement.get(from).y -= (dy / distance) * force;
+                displacement.get(to).x += (dx / distance) * force;
+                displacement.get(to).y += (dy / distance) * force;
+            });
+            
+            ids.forEach(id => {
+                const position = positions.get(id);
+                const { x: dx, y: dy } = displacement.get(id);
+                const length = Math.max(0.01, Math.sqrt(dx * dx + dy * dy));
+                const step = Math.min(length, temperature);
+                
+                position.x = Math.max(left, Math.min(left + width, position.x + (dx / length) * step));
+                position.y = Math.max(top, Math.min(top + height, position.y + (dy / length) * step));
+            });
+            
+            temperature = Math.max(1, temperature - cooling);
+        }
+        
+        return positions;
+    }
+}
+
+// ===== RANDOM GRAPH GENERATORS =====
+const GENERATOR_MODELS = ['gnp', 'tree', 'complete', 'cycle', 'grid', 'maze', 'bipartite', 'barabasi'];
+const MAX_GENERATED_VERTICES = 200;
+
+// mulberry32: small, fast and good enough to make generated graphs reproducible
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// A, B, ..., Z, AA, AB, ... like spreadsheet columns
+function vertexLabel(index) {
+    let label = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        label = String.fromCharCode(65 + ((n - 1) % 26)) + label;
+    }
+    return label;
+}
+
+class GraphGenerator {
+    // options: n, p, m, rows, cols, left, right, seed, minWeight, maxWeight,
+    // directed, and the layout area
+    static generate(model, options = {}) {
+        const {
+            n = 8, p = 0.3, m = 2, rows = 4, cols = 5, left = 3, right = 4,
+            seed = 1, minWeight = 1, maxWeight = 1, directed = false, area
+        } = options;
+        
+        if (!GENERATOR_MODELS.includes(model)) throw new RangeError(`Mô hình không hợp lệ: ${model}`);
+        if (!(p >= 0 && p <= 1)) throw new RangeError('Xác suất p phải nằm trong [0, 1]');
+        if (!Number.isInteger(minWeight) || !Number.isInteger(maxWeight) || minWeight > maxWeight) {
+            throw new RangeError('Khoảng trọng số không hợp lệ');
+        }
+        
+        const random = createRandom(seed);
+        const weight = () => minWeight + Math.floor(random() * (maxWeight - minWeight + 1));
+        const edges = [];
+        const connect = (i, j) => edges.push([i, j]);
+        let count;
+        let layout;
+        
+        switch (model) {
+            case 'gnp':
+                count = this.checkCount(n, 1);
+                for (let i = 0; i < count; i++) {
+                    for (let j = directed ? 0 : i + 1; j < count; j++) {
+                        if (i !== j && random() < p) connect(i, j);
+                    }
+                }
+                layout = (ids, graph) => GraphLayout.forceDirected(graph, { area });
+                break;
+            
+            case 'tree':
+                // Random recursive tree: each vertex hangs off an earlier one
+                count = this.checkCount(n, 1);
+                for (let i = 1; i < count; i++) connect(Math.floor(random() * i), i);
+                layout = (ids, graph) => GraphLayout.layered(graph, ids[0], area);
+                break;
+            
+            case 'complete':
+                count = this.checkCount(n, 1);
+                for (let i = 0; i < count; i++) {
+                    for (let j = directed ? 0 : i + 1; j < count; j++) {
+                        if (i !== j) connect(i, j);
+                    }
+                }
+                layout = ids => GraphLayout.circular(ids, area);
+                break;
+            
+            case 'cycle':
+                count = this.checkCount(n, 3);
+                for (let i = 0; i < count; i++) connect(i, (i + 1) % count);
+                layout = ids => GraphLayout.circular(ids, area);
+                break;
+            
+            case 'grid':
+            case 'maze': {
+                const r = this.checkCount(rows, 1);
+                const c = this.checkCount(cols, 1);
+                count = this.checkCount(r * c, 1);
+                const cells = [];
+                for (let i = 0; i < count; i++) {
+                    if (i % c < c - 1) cells.push([i, i + 1]);
+                    if (i + c < count) cells.push([i, i + c]);
+                }
+                (model === 'maze' ? this.spanningTree(count, cells, random) : cells).forEach(([i, j]) => connect(i, j));
+                layout = ids => GraphLayout.grid(ids, c, area);
+                break;
+            }
+            
+            case 'bipartite': {
+                const a = this.checkCount(left, 1);
+                const b = this.checkCount(right, 1);
+                count = a + b;
+                for (let i = 0; i < a; i++) {
+                    for (let j = a; j < count; j++) {
+                        if (random() < p) connect(i, j);
+                    }
+                }
+                layout = ids => GraphLayout.rows([ids.slice(0, a), ids.slice(a)], area);
+                break;
+            }
+            
+            case 'barabasi': {
+                // Start from a clique of m + 1 vertices, then attach each new
+                // vertex to m distinct targets with probability proportional to degree
+                const links = this.checkCount(m, 1);
+                count = this.checkCount(n, links + 1);
+                const endpoints = [];
+                for (let i = 0; i <= links; i++) {
+                    for (let j = i + 1; j <= links; j++) {
+                        connect(j, i);
+                        endpoints.push(i, j);
+                    }
+                }
+                for (let i = links + 1; i < count; i++) {
+                    const targets = new Set();
+                    while (targets.size < links) {
+                        targets.add(endpoints[Math.floor(random() * endpoints.length)]);
+                    }
+                    targets.forEach(target => {
+                        connect(i, target);
+                        endpoints.push(i, target);
+                    });
+                }
+                layout = (ids, graph) => GraphLayout.forceDirected(graph, { area });
+                break;
+            }
+        }
+        
+        const graph = new ModernGraph({ directed });
+        const ids = Array.from({ length: count }, (_, i) => vertexLabel(i));
+        const start = GraphLayout.circular(ids, area);
+        ids.forEach(id => graph.addVertex(id, start.get(id)));
+        edges.forEach(([i, j]) => graph.addEdge(ids[i], ids[j], weight()));
+        
+        // Vertices start on a circle, which is also where force layouts begin
+        layout(ids, graph).forEach((position, id) => {
+            graph.nodes.get(id).position = position;
+        });
+        
+        return graph;
+    }
+
+    // The seven bridges of Königsberg: two river banks (A, B), the Kneiphof
+    // island (C) and the eastern island (D). C is joined to each bank twice
+    static konigsberg(area) {
+        const graph = new ModernGraph({ directed: false });
+        const positions = GraphLayout.rows([['A'], ['C', 'D'], ['B']], area);
+        ['A', 'B', 'C', 'D'].forEach(id => graph.addVertex(id, positions.get(id)));
+        
+        [['A', 'C'], ['A', 'C'], ['B', 'C'], ['B', 'C'], ['A', 'D'], ['B', 'D'], ['C', 'D']]
+            .forEach(([from, to]) => graph.addEdge(from, to, 1));
+        return graph;
+    }
+
+    // Unit-capacity network for bipartite matching: S feeds every left
+    // vertex, each allowed pair is a left → right edge, every right vertex
+    // drains into T. A maximum flow saturates one edge per matched pair
+    static matchingNetwork(left, right, pairs, area) {
+        const graph = new ModernGraph({ directed: true });
+        const positions = GraphLayout.rows([['S'], left, right, ['T']], area);
+        ['S', ...left, ...right, 'T'].forEach(id => graph.addVertex(id, positions.get(id)));
+        
+        left.forEach(id => graph.addEdge('S', id, 1));
+        pairs.forEach(([from, to]) => graph.addEdge(from, to, 1));
+        right.forEach(id => graph.addEdge(id, 'T', 1));
+        return graph;
+    }
+
+    static checkCount(value, min) {
+        if (!Number.isInteger(value) || value < min || value > MAX_GENERATED_VERTICES) {
+            throw new RangeError(`Số lượng phải là số nguyên từ ${min} đến ${MAX_GENERATED_VERTICES}`);
+        }
+        return value;
+    }
+
+    // Randomized Kruskal over the grid cells carves a perfect maze
+    static spanningTree(count, cells, random) {
+        const parent = Array.from({ length: count }, (_, i) => i);
+        const find = (i) => parent[i] === i ? i : (parent[i] = find(parent[i]));
+        
+        const shuffled = [...cells];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        
+        return shuffled.filter(([i, j]) => {
+            const rootI = find(i);
+            const rootJ = find(j);
+            if (rootI === rootJ) return false;
+            parent[rootI] = rootJ;
+            return true;
+        });
+    }
+}
+
+// ===== GRAPH IMPORT / EXPORT =====
+const GRAPH_SCHEMA_VERSION = 1;
+
+class GraphFormatError extends Error {
+    constructor(message, line = null) {
+        super(line ? `Dòng ${line}: ${message}` : message);
+        this.name = 'GraphFormatError';
+        this.line = line;
+    }
+}
+
+// Reads and writes ModernGraph in every text format the app understands
+class GraphSerializer {
+    static get FORMATS() {
+        return {
+            json: { label: 'JSON (có vị trí)', extension: 'json', mime: 'application/json' },
+            edgeList: { label: 'Danh sách cạnh', extension: 'txt', mime: 'text/plain' },
+            adjacencyList: { label: 'Danh sách kề', extension: 'json', mime: 'application/json' },
+            adjacencyMatrix: { label: 'Ma trận kề', extension: 'txt', mime: 'text/plain' },
+            graphml: { label: 'GraphML', extension: 'graphml', mime: 'application/xml' },
+            dot: { label: 'DOT (Graphviz)', extension: 'dot', mime: 'text/vnd.graphviz' }
+        };
+    }
+
+    static export(graph, format) {
+        switch (format) {
+            case 'json': return this.toJSON(graph);
+            case 'edgeList': return this.toEdgeList(graph);
+            case 'adjacencyList': return this.toAdjacencyList(graph);
+            case 'adjacencyMatrix': return this.toAdjacencyMatrix(graph);
+            case 'graphml': return this.toGraphML(graph);
+            case 'dot': return this.toDOT(graph);
+            default: throw new GraphFormatError(`Định dạng không được hỗ trợ: ${format}`);
+        }
+    }
+
+    static import(text, format = 'auto') {
+        if (!text || !text.trim()) {
+            throw new GraphFormatError('Dữ liệu trống');
+        }
+        
+        const resolved = format === 'auto' ? this.detectFormat(text) : format;
+        switch (resolved) {
+            case 'json': return this.fromJSON(text);
+            case 'edgeList': return this.fromEdgeList(text);
+            case 'adjacencyList': return this.fromAdjacencyList(text);
+            case 'adjacencyMatrix': return this.fromAdjacencyMatrix(text);
+            case 'graphml': return this.fromGraphML(text);
+            case 'dot': return this.fromDOT(text);
+            default: throw new GraphFormatError(`Định dạng không được hỗ trợ: ${format}`);
+        }
+    }
+
+    static detectFormat(text) {
+        const trimmed = text.trim();
+        
+        if (trimmed.startsWith('<')) return 'graphml';
+        if (/^(\/\/[^\n]*\n\s*|\/\*[\s\S]*?\*\/\s*)*(strict\s+)?(di)?graph\b/i.test(trimmed)) return 'dot';
+        
+        if (trimmed.startsWith('{')) {
+            return /["']?version["']?\s*:/.test(trimmed) ? 'json' : 'adjacencyList';
+        }
+        
+        // A matrix has a header of distinct labels and one row of numbers per
+        // label. Numeric edge lists ("1 2 / 2 3 / 3 1") can have that shape
+        // too, so also require what toAdjacencyMatrix writes (each row led by
+        // its own label) or, for unlabeled rows, an all-zero diagonal
+        const rows = this.splitLines(trimmed).map(({ text: line }) => this.tokenize(line));
+        const [header, ...body] = rows;
+        const isNumber = (token) => !Number.isNaN(Number(token));
+        const isSquare = body.length === header.length && new Set(header).size === header.length;
+        const labeled = body.every((tokens, index) =>
+            tokens.length === header.length + 1 && tokens[0] === header[index] && tokens.slice(1).every(isNumber)
+        );
+        const zeroDiagonal = body.every((tokens, index) =>
+            tokens.length === header.length && tokens.every(isNumber) && Number(tokens[index]) === 0
+        );
+        if (isSquare && (labeled || zeroDiagonal)) {
+            return 'adjacencyMatrix';
+        }
+        
+        return 'edgeList';
+    }
+
+    // ----- Versioned JSON -----
+    static toJSON(graph) {
+        const round = (value) => Math.round(value * 10) / 10;
+        
+        return JSON.stringify({
+            format: 'graph-visualizer',
+            version: GRAPH_SCHEMA_VERSION,
+            directed: graph.directed,
+            vertices: [...graph.nodes.values()].map(node => ({
+                id: node.id,
+                x: round(node.position.x),
+                y: round(node.position.y)
+            })),
+            edges: graph.edges.map(edge => ({
+                from: edge.from,
+                to: edge.to,
+                weight: edge.weight,
+                directed: edge.directed
+            }))
+        }, null, 2);
+    }
+
+    static fromJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new GraphFormatError(`JSON không hợp lệ: ${error.message}`);
+        }
+        
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new GraphFormatError('JSON phải là một object');
+        }
+        if (typeof data.version !== 'number') {
+            throw new GraphFormatError('Thiếu trường "version"');
+        }
+        if (data.version > GRAPH_SCHEMA_VERSION) {
+            throw new GraphFormatError(`Phiên bản ${data.version} mới hơn phiên bản ứng dụng hỗ trợ (${GRAPH_SCHEMA_VERSION})`);
+        }
+        if (!Array.isArray(data.vertices)) {
+            throw new GraphFormatError('Trường "vertices" phải là một mảng');
+        }
+        if (data.edges !== undefined && !Array.isArray(data.edges)) {
+            throw new GraphFormatError('Trường "edges" phải là một mảng');
+        }
+        
+        const vertices = data.vertices.map((vertex, index) => {
+            const id = typeof vertex === 'object' && vertex !== null ? vertex.id : vertex;
+            if (typeof id !== 'string' && typeof id !== 'number') {
+                throw new GraphFormatError(`vertices[${index}] thiếu "id"`);
+            }
+            const hasPosition = Number.isFinite(vertex.x) && Number.isFinite(vertex.y);
+            return { id: String(id), position: hasPosition ? { x: vertex.x, y: vertex.y } : null };
+        });
+        
+        const edges = (data.edges || []).map((edge, index) => {
+            if (!edge || edge.from === undefined || edge.to === undefined) {
+                throw new GraphFormatError(`edges[${index}] phải có "from" và "to"`);
+            }
+            const weight = edge.weight === undefined ? 1 : edge.weight;
+            if (!Number.isFinite(weight)) {
+                throw new GraphFormatError(`edges[${index}] có trọng số không hợp lệ: ${JSON.stringify(edge.weight)}`);
+            }
+            return {
+                from: String(edge.from),
+                to: String(edge.to),
+                weight,
+                directed: edge.directed === undefined ? undefined : Boolean(edge.directed)
+            };
+        });
+        
+        return this.buildGraph(vertices, edges, Boolean(data.directed));
+    }
+
+    // ----- Edge list: one "A B 5" per line -----
+    static toEdgeList(graph) {
+        const lines = [];
+        if (graph.directed) lines.push('# directed');
+        
+        // Isolated vertices are listed alone so they survive a round trip
+        const connected = new Set(graph.edges.flatMap(edge => [edge.from, edge.to]));
+        for (const vertex of graph.nodes.keys()) {
+            if (!connected.has(vertex)) lines.push(this.checkLabel(vertex));
+        }
+        
+        graph.edges.forEach(edge => {
+            const weight = edge.weight === 1 ? '' : ` ${edge.weight}`;
+            lines.push(`${this.checkLabel(edge.from)} ${this.checkLabel(edge.to)}${weight}`);
+        });
+        
+        return lines.join('\n');
+    }
+
+    static fromEdgeList(text) {
+        const vertices = new Map();
+        const edges = [];
+        let directed = false;
+        
+        for (const { text: line, number } of this.splitLines(text)) {
+            if (line.startsWith('#')) {
+                if (/^#\s*directed\b/i.test(line)) directed = true;
+                continue;
+            }
+            
+            const tokens = this.tokenize(line);
+            if (tokens.length > 3) {
+                throw new GraphFormatError(`cần "đỉnh1 đỉnh2 [trọng số]", nhận được "${line}"`, number);
+            }
+            
+            tokens.slice(0, 2).forEach(id => vertices.set(id, { id, position: null }));
+            if (tokens.length === 1) continue;
+            
+            const weight = tokens.length === 3 ? Number(tokens[2]) : 1;
+            if (!Number.isFinite(weight)) {
+                throw new GraphFormatError(`trọng số không hợp lệ "${tokens[2]}"`, number);
+            }
+            edges.push({ from: tokens[0], to: tokens[1], weight });
+        }
+        
+        return this.buildGraph([...vertices.values()], edges, directed);
+    }
+
+    // ----- Adjacency list object: { A: ['B', 'C'] } -----
+    static toAdjacencyList(graph) {
+        const weighted = graph.edges.some(edge => edge.weight !== 1);
+        const lines = Object.entries(graph.adjacencyList).map(([vertex, neighbors]) => {
+            const entries = neighbors.map(({ node, weight }) =>
+                weighted ? `[${JSON.stringify(node)}, ${weight}]` : JSON.stringify(node)
+            );
+            return `  ${JSON.stringify(vertex)}: [${entries.join(', ')}]`;
+        });
+        
+        return `{\n${lines.join(',\n')}\n}`;
+    }
+
+    static fromAdjacencyList(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            // Accept the JavaScript object literal style used in the lessons
+            const normalized = text
+                .replace(/'/g, '"')
+                .replace(/([{,]\s*)([A-Za-z_$][\w$]*)\s*:/g, '$1"$2":')
+                .replace(/,\s*([}\]])/g, '$1');
+            try {
+                data = JSON.parse(normalized);
+            } catch (innerError) {
+                throw new GraphFormatError(`Danh sách kề không hợp lệ: ${innerError.message}`);
+            }
+        }
+        
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new GraphFormatError('Danh sách kề phải có dạng { A: [\'B\', \'C\'] }');
+        }
+        
+        const vertices = new Map();
+        const arcs = [];
+        
+        Object.entries(data).forEach(([vertex, neighbors]) => {
+            vertices.set(vertex, { id: vertex, position: null });
+            if (!Array.isArray(neighbors)) {
+                throw new GraphFormatError(`Danh sách kề của ${vertex} phải là một mảng`);
+            }
+            
+            neighbors.forEach(entry => {
+                let node = entry;
+                let weight = 1;
+                if (Array.isArray(entry)) {
+                    [node, weight = 1] = entry;
+                } else if (entry && typeof entry === 'object') {
+                    ({ node, weight = 1 } = entry);
+                }
+                
+                if (typeof node !== 'string' && typeof node !== 'number') {
+                    throw new GraphFormatError(`Đỉnh kề không hợp lệ trong danh sách của ${vertex}: ${JSON.stringify(entry)}`);
+                }
+                if (!Number.isFinite(weight)) {
+                    throw new GraphFormatError(`Trọng số không hợp lệ cho cạnh ${vertex} - ${node}: ${JSON.stringify(weight)}`);
+                }
+                
+                node = String(node);
+                if (!vertices.has(node)) vertices.set(node, { id: node, position: null });
+                arcs.push({ from: vertex, to: node, weight });
+            });
+        });
+        
+        const { edges, directed } = this.pairArcs(arcs);
+        return this.buildGraph([...vertices.values()], edges, directed);
+    }
+
+    // ----- Adjacency matrix with header row -----
+    static toAdjacencyMatrix(graph) {
+        const vertices = [...graph.nodes.keys()].map(vertex => this.checkLabel(vertex));
+        const index = new Map(vertices.map((vertex, i) => [vertex, i]));
+        const matrix = vertices.map(() => vertices.map(() => 0));
+        
+        graph.edges.forEach(({ from, to, weight, directed }) => {
+            matrix[index.get(from)][index.get(to)] = weight;
+            if (!directed) matrix[index.get(to)][index.get(from)] = weight;
+        });
+        
+        const cells = [[''], ...vertices.map(vertex => [vertex])].map((row, i) =>
+            i === 0 ? [...row, ...vertices] : [...row, ...matrix[i - 1]]
+        );
+        const width = Math.max(...cells.flat().map(cell => String(cell).length));
+        
+        return cells
+            .map(row => row.map(cell => String(cell).padStart(width)).join(' '))
+            .join('\n');
+    }
+
+    static fromAdjacencyMatrix(text) {
+        const lines = this.splitLines(text).filter(({ text: line }) => !line.startsWith('#'));
+        const header = this.tokenize(lines[0].text);
+        const size = header.length;
+        
+        if (new Set(header).size !== size) {
+            throw new GraphFormatError('hàng tiêu đề có nhãn trùng nhau', lines[0].number);
+        }
+        if (lines.length - 1 !== size) {
+            throw new GraphFormatError(`Ma trận phải có ${size} hàng (theo hàng tiêu đề), nhận được ${lines.length - 1}`);
+        }
+        
+        const matrix = lines.slice(1).map(({ text: line, number }, row) => {
+            let tokens = this.tokenize(line);
+            
+            // Optional row label in the first column
+            if (tokens.length === size + 1 || Number.isNaN(Number(tokens[0]))) {
+                if (tokens[0] !== header[row]) {
+                    throw new GraphFormatError(`nhãn hàng "${tokens[0]}" không khớp với "${header[row]}"`, number);
+                }
+                tokens = tokens.slice(1);
+            }
+            if (tokens.length !== size) {
+                throw new GraphFormatError(`cần ${size} giá trị, nhận được ${tokens.length}`, number);
+            }
+            
+            return tokens.map(token => {
+                const value = Number(token);
+                if (!Number.isFinite(value)) {
+                    throw new GraphFormatError(`giá trị không phải số "${token}"`, number);
+                }
+                return value;
+            });
+        });
+        
+        matrix.forEach((row, i) => {
+            if (row[i] !== 0) {
+                throw new GraphFormatError(`khuyên (cạnh ${header[i]} - ${header[i]}) không được hỗ trợ`, lines[i + 1].number);
+            }
+        });
+        
+        const symmetric = matrix.every((row, i) => row.every((value, j) => value === matrix[j][i]));
+        const edges = [];
+        matrix.forEach((row, i) => {
+            row.forEach((value, j) => {
+                if (value === 0 || (symmetric && j < i)) return;
+                edges.push({ from: header[i], to: header[j], weight: value });
+            });
+        });
+        
+        return this.buildGraph(header.map(id => ({ id, position: null })), edges, !symmetric);
+    }
+
+    // ----- GraphML (yEd compatible) -----
+    static toGraphML(graph) {
+        const defaultDirected = graph.directed ? 'directed' : 'undirected';
+        const size = CONFIG.CANVAS.nodeRadius * 2;
+        
+        const nodes = [...graph.nodes.values()].map(node => {
+            const { x, y } = node.position;
+            return `    <node id="${escapeHtml(node.id)}">
+      <data key="label">${escapeHtml(node.id)}</data>
+      <data key="x">${x}</data>
+      <data key="y">${y}</data>
+      <data key="color">${escapeHtml(node.color)}</data>
+      <data key="visited">${node.visited}</data>
+      <data key="graphics">
+        <y:ShapeNode>
+          <y:Geometry x="${x - size / 2}" y="${y - size / 2}" width="${size}" height="${size}"/>
+          <y:Fill color="${escapeHtml(node.color)}" transparent="false"/>
+          <y:NodeLabel>${escapeHtml(node.id)}</y:NodeLabel>
+          <y:Shape type="ellipse"/>
+        </y:ShapeNode>
+      </data>
+    </node>`;
+        });
+        
+        const edges = graph.edges.map((edge, i) => `    <edge id="e${i}" source="${escapeHtml(edge.from)}" target="${escapeHtml(edge.to)}"${edge.directed === graph.directed ? '' : ` directed="${edge.directed}"`}>
+      <data key="weight">${edge.weight}</data>
+      <data key="edgegraphics">
+        <y:PolyLineEdge>
+          <y:Arrows source="none" target="${edge.directed ? 'standard' : 'none'}"/>
+          <y:EdgeLabel>${edge.weight}</y:EdgeLabel>
+        </y:PolyLineEdge>
+      </data>
+    </edge>`);
+        
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns"
+         xmlns:y="http://www.yworks.com/xml/graphml">
+  <key id="label" for="node" attr.name="label" attr.type="string"/>
+  <key id="x" for="node" attr.name="x" attr.type="double"/>
+  <key id="y" for="node" attr.name="y" attr.type="double"/>
+  <key id="color" for="node" attr.name="color" attr.type="string"/>
+  <key id="visited" for="node" attr.name="visited" attr.type="boolean"/>
+  <key id="graphics" for="node" yfiles.type="nodegraphics"/>
+  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>
+  <key id="edgegraphics" for="edge" yfiles.type="edgegraphics"/>
+  <graph id="G" edgedefault="${defaultDirected}">
+${[...nodes, ...edges].join('\n')}
+  </graph>
+</graphml>`;
+    }
+
+    static fromGraphML(text) {
+        if (typeof DOMParser === 'undefined') {
+            throw new GraphFormatError('Trình duyệt không hỗ trợ đọc XML (DOMParser)');
+        }
+        
+        let xml;
+        try {
+            xml = new DOMParser().parseFromString(text, 'application/xml');
+        } catch (error) {
+            throw new GraphFormatError(`XML không hợp lệ: ${error.message}`);
+        }
+        const parserError = xml.getElementsByTagName('parsererror')[0];
+        if (parserError) {
+            throw new GraphFormatError(`XML không hợp lệ: ${parserError.textContent.trim().split('\n')[0]}`);
+        }
+        
+        const byTag = (parent, tag) => [...parent.getElementsByTagNameNS('*', tag)];
+        const graphElement = byTag(xml, 'graph')[0];
+        if (!graphElement) {
+            throw new GraphFormatError('Không tìm thấy thẻ <graph> trong GraphML');
+        }
+        const directed = graphElement.getAttribute('edgedefault') === 'directed';
+        
+        // Map <key> ids to attribute names, e.g. d0 -> weight
+        const keyNames = new Map(byTag(xml, 'key').map(key => [
+            key.getAttribute('id'),
+            (key.getAttribute('attr.name') || key.getAttribute('id')).toLowerCase()
+        ]));
+        const readData = (element) => {
+            const values = {};
+            [...element.children].forEach(child => {
+                if (child.localName !== 'data') return;
+                values[keyNames.get(child.getAttribute('key')) || child.getAttribute('key')] = child.textContent.trim();
+            });
+            return values;
+        };
+        
+        // Group nodes (yEd folders) hold a nested <graph>; only their leaves become vertices
+        const nodeElements = byTag(xml, 'node').filter(node => byTag(node, 'graph').length === 0);
+        const rawIds = nodeElements.map(node => node.getAttribute('id'));
+        const labels = nodeElements.map(node => {
+            const yedLabel = byTag(node, 'NodeLabel')[0];
+            return (yedLabel && yedLabel.textContent.trim()) || readData(node).label || null;
+        });
+        const useLabels = labels.every(label => label) && new Set(labels).size === labels.length;
+        const idMap = new Map(rawIds.map((id, i) => [id, useLabels ? labels[i] : id]));
+        
+        const vertices = nodeElements.map((node, i) => {
+            const data = readData(node);
+            const geometry = byTag(node, 'Geometry')[0];
+            let position = null;
+            
+            if (geometry) {
+                const attr = (name) => parseFloat(geometry.getAttribute(name)) || 0;
+                position = { x: attr('x') + attr('width') / 2, y: attr('y') + attr('height') / 2 };
+            } else if (Number.isFinite(parseFloat(data.x)) && Number.isFinite(parseFloat(data.y))) {
+                position = { x: parseFloat(data.x), y: parseFloat(data.y) };
+            }
+            
+            return { id: idMap.get(rawIds[i]), position };
+        });
+        
+        const edges = byTag(xml, 'edge').map(edge => {
+            const source = edge.getAttribute('source');
+            const target = edge.getAttribute('target');
+            if (!idMap.has(source) || !idMap.has(target)) {
+                throw new GraphFormatError(`Cạnh ${source} - ${target} tham chiếu đỉnh không tồn tại`);
+            }
+            
+            const data = readData(edge);
+            const edgeLabel = byTag(edge, 'EdgeLabel')[0];
+            const weightText = data.weight ?? (edgeLabel ? edgeLabel.textContent.trim() : undefined);
+            const weight = weightText === undefined || weightText === '' ? 1 : Number(weightText);
+            if (!Number.isFinite(weight)) {
+                throw new GraphFormatError(`Cạnh ${source} - ${target} có trọng số không hợp lệ "${weightText}"`);
+            }
+            
+            const directedAttr = edge.getAttribute('directed');
+            return {
+                from: idMap.get(source),
+                to: idMap.get(target),
+                weight,
+                directed: directedAttr === null ? undefined : directedAttr === 'true'
+            };
+        });
+        
+        return this.buildGraph(vertices, edges, directed);
+    }
+
+    // ----- DOT (Graphviz) -----
+    static toDOT(graph) {
+        const id = (value) => /^([A-Za-z_][\w]*|-?(\.\d+|\d+(\.\d*)?))$/.test(value)
+            ? value
+            : `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+        const operator = graph.directed ? '->' : '--';
+        const height = CONFIG.CANVAS.height;
+        
+        // Graphviz has y pointing up, so positions are flipped on the way out
+        const nodes = [...graph.nodes.values()].map(node => {
+            const attributes = [
+                `pos="${node.position.x},${height - node.position.y}!"`,
+                'style=filled',
+                `fillcolor="${node.color}"`,
+                `visited=${node.visited}`
+            ];
+            return `    ${id(node.id)} [${attributes.join(', ')}];`;
+        });
+        
+        const edges = graph.edges.map(edge => {
+            // dot only accepts non-negative integer weights; the label carries the rest
+            const attributes = Number.isInteger(edge.weight) && edge.weight >= 0
+                ? [`weight=${edge.weight}`, `label="${edge.weight}"`]
+                : [`label="${edge.weight}"`];
+            if (edge.directed !== graph.directed) {
+                attributes.push(`dir=${edge.directed ? 'forward' : 'none'}`);
+            }
             if (edge.animated) {
-                this.ctx.shadowColor = '#64ffda';
-                this.ctx.shadowBlur = 10;
+                attributes.push('color="#64ffda"', 'penwidth=3');
+            }
+            return `    ${id(edge.from)} ${operator} ${id(edge.to)} [${attributes.join(', ')}];`;
+        });
+        
+        return `${graph.directed ? 'digraph' : 'graph'} G {
+    node [shape=circle, fontcolor=white];
+${[...nodes, ...edges].join('\n')}
+}`;
+    }
+
+    static fromDOT(text) {
+        const parser = new DotParser(text);
+        const { directed, nodes, edges } = parser.parse();
+        const height = CONFIG.CANVAS.height;
+        
+        const vertices = [...nodes.entries()].map(([nodeId, attributes]) => {
+            const match = /^\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)/.exec(attributes.pos || '');
+            return {
+                id: nodeId,
+                position: match ? { x: parseFloat(match[1]), y: height - parseFloat(match[2]) } : null
+            };
+        });
+        
+        const parsedEdges = edges.map(({ from, to, attributes, line }) => {
+            const weightText = attributes.weight ?? attributes.label;
+            let weight = 1;
+            if (attributes.weight !== undefined || /^-?[\d.]+$/.test(attributes.label || '')) {
+                weight = Number(weightText);
+                if (!Number.isFinite(weight)) {
+                    throw new GraphFormatError(`trọng số không hợp lệ "${weightText}"`, line);
+                }
+            }
+            
+            let edgeDirected;
+            if (attributes.dir === 'none') edgeDirected = false;
+            if (attributes.dir === 'forward' || attributes.dir === 'back') edgeDirected = true;
+            
+            return attributes.dir === 'back'
+                ? { from: to, to: from, weight, directed: edgeDirected }
+                : { from, to, weight, directed: edgeDirected };
+        });
+        
+        return this.buildGraph(vertices, parsedEdges, directed);
+    }
+
+    // ----- Helpers -----
+    static buildGraph(vertices, edges, directed) {
+        const graph = new ModernGraph({ directed });
+        const ids = new Set(vertices.map(vertex => vertex.id));
+        const fallback = GraphLayout.circular(vertices.map(vertex => vertex.id));
+        
+        vertices.forEach(({ id, position }) => {
+            graph.addVertex(id, position || fallback.get(id));
+        });
+        
+        edges.forEach(({ from, to, weight, directed: edgeDirected }) => {
+            if (!ids.has(from) || !ids.has(to)) {
+                throw new GraphFormatError(`Cạnh ${from} - ${to} tham chiếu đỉnh không tồn tại`);
+            }
+            if (from === to) {
+                throw new GraphFormatError(`Khuyên tại ${from} không được hỗ trợ`);
+            }
+            graph.addEdge(from, to, weight, edgeDirected === undefined ? directed : edgeDirected);
+        });
+        
+        return graph;
+    }
+
+    // Undirected when every arc has a matching reverse arc of the same weight
+    static pairArcs(arcs) {
+        const key = (from, to, weight) => `${from}\u0000${to}\u0000${weight}`;
+        const remaining = new Map();
+        arcs.forEach(({ from, to, weight }) => {
+            const k = key(from, to, weight);
+            remaining.set(k, (remaining.get(k) || 0) + 1);
+        });
+        
+        const symmetric = arcs.every(({ from, to, weight }) =>
+            remaining.get(key(from, to, weight)) === remaining.get(key(to, from, weight))
+        );
+        if (!symmetric) return { edges: arcs, directed: true };
+        
+        const edges = [];
+        arcs.forEach(({ from, to, weight }) => {
+            const forward = key(from, to, weight);
+            const backward = key(to, from, weight);
+            if (!remaining.get(forward)) return;
+            remaining.set(forward, remaining.get(forward) - 1);
+            remaining.set(backward, remaining.get(backward) - 1);
+            edges.push({ from, to, weight });
+        });
+        
+        return { edges, directed: false };
+    }
+
+    static splitLines(text) {
+        return text
+            .split(/\r?\n/)
+            .map((line, i) => ({ text: line.trim(), number: i + 1 }))
+            .filter(({ text: line }) => line.length > 0);
+    }
+
+    static tokenize(line) {
+        return line.split(/[\s,;]+/).filter(token => token.length > 0);
+    }
+
+    // Whitespace-separated formats cannot carry labels that contain spaces
+    static checkLabel(label) {
+        if (/[\s,;]/.test(label)) {
+            throw new GraphFormatError(`Nhãn "${label}" chứa khoảng trắng, hãy xuất dạng JSON`);
+        }
+        return label;
+    }
+}
+
+// Recursive-descent parser for the DOT language; subgraphs are flattened
+class DotParser {
+    constructor(text) {
+        this.tokens = this.tokenize(text);
+        this.position = 0;
+        this.nodes = new Map();
+        this.edges = [];
+        this.directed = false;
+        this.memberStack = [];
+    }
+
+    tokenize(text) {
+        const tokens = [];
+        let i = 0;
+        let line = 1;
+        
+        while (i < text.length) {
+            const char = text[i];
+            
+            if (char === '\n') {
+                line++;
+                i++;
+            } else if (/\s/.test(char)) {
+                i++;
+            } else if (text.startsWith('//', i) || (char === '#' && (i === 0 || text[i - 1] === '\n'))) {
+                while (i < text.length && text[i] !== '\n') i++;
+            } else if (text.startsWith('/*', i)) {
+                const end = text.indexOf('*/', i + 2);
+                if (end === -1) throw new GraphFormatError('chú thích /* chưa được đóng', line);
+                line += text.slice(i, end).split('\n').length - 1;
+                i = end + 2;
+            } else if (text.startsWith('--', i) || text.startsWith('->', i)) {
+                tokens.push({ type: 'edgeop', value: text.slice(i, i + 2), line });
+                i += 2;
+            } else if ('{}[];,=:'.includes(char)) {
+                tokens.push({ type: char, value: char, line });
+                i++;
+            } else if (char === '"') {
+                let value = '';
+                i++;
+                while (i < text.length && text[i] !== '"') {
+                    if (text[i] === '\\' && text[i + 1] === '"') {
+                        value += '"';
+                        i += 2;
+                    } else if (text[i] === '\\' && text[i + 1] === '\n') {
+                        i += 2;
+                        line++;
+                    } else {
+                        if (text[i] === '\n') line++;
+                        value += text[i++];
+                    }
+                }
+                if (i >= text.length) throw new GraphFormatError('chuỗi chưa được đóng dấu "', line);
+                i++;
+                tokens.push({ type: 'id', value, line });
+            } else if (char === '<') {
+                // HTML-like label, angle brackets nest
+                let depth = 0;
+                const start = i;
+                do {
+                    if (text[i] === '<') depth++;
+                    if (text[i] === '>') depth--;
+                    if (text[i] === '\n') line++;
+                    i++;
+                } while (i < text.length && depth > 0);
+                if (depth > 0) throw new GraphFormatError('nhãn HTML <...> chưa được đóng', line);
+                tokens.push({ type: 'id', value: text.slice(start + 1, i - 1), line });
+            } else {
+                const match = /^(-?(\.\d+|\d+(\.\d*)?)|[A-Za-z_\u0080-￿][\w\u0080-￿]*)/.exec(text.slice(i));
+                if (!match) throw new GraphFormatError(`ký tự không hợp lệ "${char}"`, line);
+                tokens.push({ type: 'id', value: match[0], line });
+                i += match[0].length;
+            }
+        }
+        
+        return tokens;
+    }
+
+    peek(type) {
+        const token = this.tokens[this.position];
+        return token && (type === undefined || token.type === type) ? token : null;
+    }
+
+    peekKeyword(keyword) {
+        const token = this.peek('id');
+        return token && token.value.toLowerCase() === keyword ? token : null;
+    }
+
+    expect(type) {
+        const token = this.tokens[this.position];
+        if (!token || token.type !== type) {
+            const found = token ? `"${token.value}"` : 'cuối tệp';
+            throw new GraphFormatError(`cần "${type === 'id' ? 'tên' : type}", gặp ${found}`, token ? token.line : null);
+        }
+        this.position++;
+        return token;
+    }
+
+    parse() {
+        if (this.tokens.length === 0) throw new GraphFormatError('Tệp DOT trống');
+        
+        if (this.peekKeyword('strict')) this.position++;
+        const kind = this.expect('id');
+        if (!['graph', 'digraph'].includes(kind.value.toLowerCase())) {
+            throw new GraphFormatError(`cần "graph" hoặc "digraph", gặp "${kind.value}"`, kind.line);
+        }
+        this.directed = kind.value.toLowerCase() === 'digraph';
+        
+        if (this.peek('id')) this.position++;
+        this.expect('{');
+        this.parseStatements();
+        this.expect('}');
+        
+        return { directed: this.directed, nodes: this.nodes, edges: this.edges };
+    }
+
+    parseStatements() {
+        while (this.peek() && !this.peek('}')) {
+            this.parseStatement();
+            while (this.peek(';') || this.peek(',')) this.position++;
+        }
+    }
+
+    parseStatement() {
+        // graph / node / edge default attributes do not map onto ModernGraph
+        if (['graph', 'node', 'edge'].some(keyword => this.peekKeyword(keyword)) && this.tokens[this.position + 1]?.type === '[') {
+            this.position++;
+            this.parseAttributes();
+            return;
+        }
+        
+        // Graph-level "ID = ID"
+        if (this.peek('id') && this.tokens[this.position + 1]?.type === '=') {
+            this.position += 2;
+            this.expect('id');
+            return;
+        }
+        
+        let left = this.parseOperand();
+        if (!this.peek('edgeop')) {
+            const attributes = this.parseAttributes();
+            if (left.single) Object.assign(this.nodes.get(left.ids[0]), attributes);
+            return;
+        }
+        
+        const chain = [left];
+        while (this.peek('edgeop')) {
+            const operator = this.expect('edgeop');
+            if (operator.value !== (this.directed ? '->' : '--')) {
+                throw new GraphFormatError(`"${operator.value}" không dùng được trong ${this.directed ? 'digraph' : 'graph'}`, operator.line);
+            }
+            chain.push(this.parseOperand());
+        }
+        
+        const attributes = this.parseAttributes();
+        for (let i = 0; i < chain.length - 1; i++) {
+            left = chain[i];
+            chain[i + 1].ids.forEach(to => {
+                left.ids.forEach(from => {
+                    this.edges.push({ from, to, attributes: { ...attributes }, line: chain[i + 1].line });
+                });
+            });
+        }
+    }
+
+    // A node id (ports are dropped) or a subgraph standing for all its nodes
+    parseOperand() {
+        const token = this.peek();
+        if (!token) throw new GraphFormatError('Tệp DOT kết thúc đột ngột');
+        
+        if (token.type === '{' || this.peekKeyword('subgraph')) {
+            if (this.peekKeyword('subgraph')) {
+                this.position++;
+                if (this.peek('id')) this.position++;
+            }
+            
+            this.memberStack.push(new Set());
+            this.expect('{');
+            this.parseStatements();
+            this.expect('}');
+            const members = this.memberStack.pop();
+            
+            return { ids: [...members], single: false, line: token.line };
+        }
+        
+        const id = this.expect('id').value;
+        if (this.peek(':')) {
+            this.position++;
+            this.expect('id');
+            if (this.peek(':')) {
+                this.position++;
+                this.expect('id');
+            }
+        }
+        
+        this.touchNode(id);
+        return { ids: [id], single: true, line: token.line };
+    }
+
+    // Registers a node and records it as a member of every open subgraph
+    touchNode(id) {
+        if (!this.nodes.has(id)) this.nodes.set(id, {});
+        this.memberStack.forEach(members => members.add(id));
+    }
+
+    parseAttributes() {
+        const attributes = {};
+        
+        while (this.peek('[')) {
+            this.position++;
+            while (!this.peek(']')) {
+                const key = this.expect('id').value.toLowerCase();
+                let value = 'true';
+                if (this.peek('=')) {
+                    this.position++;
+                    value = this.expect('id').value;
+                }
+                attributes[key] = value;
+                while (this.peek(';') || this.peek(',')) this.position++;
+            }
+            this.expect(']');
+        }
+        
+        return attributes;
+    }
+}
+
+// ===== SHAREABLE URL STATE =====
+const SHARE_STATE_VERSION = 1;
+const MAX_SHARE_HASH_LENGTH = 8000;
+
+// Packs the demo graph and run settings into a compact "#g=..." URL hash
+class ShareState {
+    static encode({ graph, algorithm, startNode, targetNode, speed, theme, autoplay }) {
+        const ids = [...graph.nodes.keys()];
+        const index = new Map(ids.map((id, i) => [id, i]));
+        
+        const payload = {
+            v: SHARE_STATE_VERSION,
+            d: graph.directed ? 1 : 0,
+            n: ids.map(id => {
+                const { x, y } = graph.nodes.get(id).position;
+                return [id, Math.round(x), Math.round(y)];
+            }),
+            // [from, to, weight?, directed?] with vertex indexes instead of labels
+            e: graph.edges.map(edge => {
+                const entry = [index.get(edge.from), index.get(edge.to)];
+                const mixed = edge.directed !== graph.directed;
+                if (edge.weight !== 1 || mixed) entry.push(edge.weight);
+                if (mixed) entry.push(edge.directed ? 1 : 0);
+                return entry;
+            }),
+            a: algorithm || undefined,
+            s: startNode || undefined,
+            t: targetNode || undefined,
+            sp: speed,
+            th: theme,
+            p: autoplay ? 1 : undefined
+        };
+        
+        const bytes = new TextEncoder().encode(JSON.stringify(payload));
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        
+        return `g=${btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')}`;
+    }
+
+    // Returns null when the hash carries no graph state at all
+    static decode(hash) {
+        const raw = hash.replace(/^#/, '');
+        if (!raw.startsWith('g=')) return null;
+        
+        if (raw.length > MAX_SHARE_HASH_LENGTH) {
+            throw new GraphFormatError(`Liên kết quá dài (${raw.length} ký tự, tối đa ${MAX_SHARE_HASH_LENGTH})`);
+        }
+        
+        let payload;
+        try {
+            const base64 = raw.slice(2).replace(/-/g, '+').replace(/_/g, '/');
+            const binary = atob(base64);
+            const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+            payload = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            throw new GraphFormatError('Liên kết chia sẻ bị hỏng hoặc không đầy đủ');
+        }
+        
+        if (!payload || payload.v !== SHARE_STATE_VERSION) {
+            throw new GraphFormatError('Liên kết chia sẻ dùng phiên bản không được hỗ trợ');
+        }
+        if (!Array.isArray(payload.n) || !Array.isArray(payload.e)) {
+            throw new GraphFormatError('Liên kết chia sẻ thiếu dữ liệu đồ thị');
+        }
+        
+        const vertices = payload.n.map(entry => {
+            if (!Array.isArray(entry) || typeof entry[0] !== 'string' ||
+                !Number.isFinite(entry[1]) || !Number.isFinite(entry[2])) {
+                throw new GraphFormatError('Liên kết chia sẻ có đỉnh không hợp lệ');
+            }
+            return { id: entry[0], position: { x: entry[1], y: entry[2] } };
+        });
+        
+        const edges = payload.e.map(entry => {
+            const [from, to, weight = 1, directed] = Array.isArray(entry) ? entry : [];
+            if (!vertices[from] || !vertices[to] || !Number.isFinite(weight)) {
+                throw new GraphFormatError('Liên kết chia sẻ có cạnh không hợp lệ');
+            }
+            return {
+                from: vertices[from].id,
+                to: vertices[to].id,
+                weight,
+                directed: directed === undefined ? undefined : directed === 1
+            };
+        });
+        
+        return {
+            graph: GraphSerializer.buildGraph(vertices, edges, payload.d === 1),
+            algorithm: typeof payload.a === 'string' ? payload.a : null,
+            startNode: typeof payload.s === 'string' ? payload.s : null,
+            targetNode: typeof payload.t === 'string' ? payload.t : null,
+            speed: Number.isFinite(payload.sp) ? payload.sp : null,
+            theme: Object.hasOwn(CONFIG.THEMES, payload.th) ? payload.th : null,
+            autoplay: payload.p === 1
+        };
+    }
+}
+
+// ===== SAVED GRAPHS LIBRARY =====
+const LIBRARY_STORAGE_KEY = 'graph-visualizer:library';
+const LIBRARY_SCHEMA_VERSION = 1;
+
+// Upgrade steps keyed by the version they upgrade from,
+// e.g. 1: (data) => ({ ...data, version: 2, ... })
+const LIBRARY_MIGRATIONS = {};
+
+// Named graphs and user settings persisted in localStorage
+class GraphLibrary {
+    constructor(storage = GraphLibrary.defaultStorage()) {
+        this.storage = storage;
+        this.readOnly = false;
+        this.settingsWarned = false;
+        this.data = this.read();
+    }
+
+    // Merely reading window.localStorage throws where storage is blocked
+    // (sandboxed iframes, some privacy settings); read() then sees null
+    static defaultStorage() {
+        try {
+            return window.localStorage;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    read() {
+        const empty = { version: LIBRARY_SCHEMA_VERSION, graphs: [], settings: {} };
+        if (!this.storage) {
+            this.readOnly = true;
+            return empty;
+        }
+        
+        let raw;
+        try {
+            raw = this.storage.getItem(LIBRARY_STORAGE_KEY);
+        } catch (error) {
+            // Storage disabled (private mode, blocked cookies)
+            this.readOnly = true;
+            return empty;
+        }
+        if (!raw) return empty;
+        
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (error) {
+            // Keep the unreadable copy around instead of silently overwriting it
+            try {
+                this.storage.setItem(`${LIBRARY_STORAGE_KEY}:backup`, raw);
+            } catch (backupError) {
+                // No room for the backup either; the original is still untouched
+            }
+            return empty;
+        }
+        
+        return this.migrate(data) || empty;
+    }
+
+    migrate(data) {
+        if (!data || typeof data.version !== 'number' || !Array.isArray(data.graphs)) return null;
+        
+        // Saved by a newer version of the app: use it but never write over it
+        if (data.version > LIBRARY_SCHEMA_VERSION) {
+            this.readOnly = true;
+            return data;
+        }
+        
+        let migrated = data;
+        while (migrated.version < LIBRARY_SCHEMA_VERSION) {
+            const upgrade = LIBRARY_MIGRATIONS[migrated.version];
+            if (!upgrade) return null;
+            migrated = upgrade(migrated);
+        }
+        
+        migrated.settings = migrated.settings || {};
+        return migrated;
+    }
+
+    write() {
+        if (this.readOnly) {
+            throw new Error('Thư viện được lưu bởi phiên bản mới hơn hoặc bộ nhớ bị khóa, không thể ghi');
+        }
+        
+        try {
+            this.storage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(this.data));
+        } catch (error) {
+            throw new Error('Không thể lưu: bộ nhớ trình duyệt đã đầy hoặc bị chặn');
+        }
+    }
+
+    // Apply a change to the saved graphs and persist it. A failed write rolls
+    // the change back, so the list never shows entries that were not stored
+    update(change) {
+        const previous = JSON.parse(JSON.stringify(this.data.graphs));
+        const result = change();
+        try {
+            this.write();
+        } catch (error) {
+            this.data.graphs = previous;
+            throw error;
+        }
+        return result;
+    }
+
+    list() {
+        return [...this.data.graphs].sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    find(id) {
+        return this.data.graphs.find(entry => entry.id === id) || null;
+    }
+
+    findByName(name) {
+        return this.data.graphs.find(entry => entry.name === name) || null;
+    }
+
+    // Saving under an existing name replaces that entry
+    save(name, graph) {
+        const now = Date.now();
+        const serialized = JSON.parse(GraphSerializer.toJSON(graph));
+        
+        return this.update(() => {
+            const existing = this.findByName(name);
+            if (existing) {
+                existing.graph = serialized;
+                existing.updatedAt = now;
+                return existing;
+            }
+            
+            const entry = {
+                id: `${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+                name,
+                createdAt: now,
+                updatedAt: now,
+                graph: serialized
+            };
+            this.data.graphs.push(entry);
+            return entry;
+        });
+    }
+
+    load(id) {
+        const entry = this.find(id);
+        if (!entry) throw new Error('Không tìm thấy đồ thị đã lưu');
+        return GraphSerializer.fromJSON(JSON.stringify(entry.graph));
+    }
+
+    rename(id, name) {
+        if (!this.find(id)) return;
+        
+        this.update(() => {
+            const entry = this.find(id);
+            entry.name = name;
+            entry.updatedAt = Date.now();
+        });
+    }
+
+    duplicate(id) {
+        const entry = this.find(id);
+        if (!entry) return null;
+        
+        let copyName = `${entry.name} (bản sao)`;
+        for (let i = 2; this.findByName(copyName); i++) {
+            copyName = `${entry.name} (bản sao ${i})`;
+        }
+        
+        const now = Date.now();
+        const copy = {
+            ...JSON.parse(JSON.stringify(entry)),
+            id: `${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: copyName,
+            createdAt: now,
+            updatedAt: now
+        };
+        return this.update(() => {
+            this.data.graphs.push(copy);
+            return copy;
+        });
+    }
+
+    remove(id) {
+        this.update(() => {
+            this.data.graphs = this.data.graphs.filter(entry => entry.id !== id);
+        });
+    }
+
+    getSettings() {
+        return { ...this.data.settings };
+    }
+
+    saveSettings(settings) {
+        Object.assign(this.data.settings, settings);
+        // Settings are best-effort, a full or locked storage should not break the UI
+        try {
+            this.write();
+        } catch (error) {
+            // The speed slider saves on every input, so say it only once
+            if (!this.settingsWarned) console.warn(error.message);
+            this.settingsWarned = true;
+        }
+    }
+}
+
+// ===== SVG EXPORT BACKEND =====
+const SVG_STATE_KEYS = [
+    'fillStyle', 'strokeStyle', 'lineWidth', 'font', 'textAlign', 'textBaseline',
+    'globalAlpha', 'shadowBlur', 'shadowColor'
+];
+
+// The subset of CanvasRenderingContext2D used by GraphRenderer's draw
+// routines, writing SVG elements instead of pixels. Transforms are applied to
+// coordinates as they come in, so only uniform scale + translate is supported
+class SvgContext {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.elements = [];
+        this.defs = [];
+        this.filters = new Map();
+        this.stack = [];
+        this.path = '';
+        this.transform = [1, 0, 0, 1, 0, 0];
+        this.lineDash = [];
+        
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.globalAlpha = 1;
+        this.shadowBlur = 0;
+        this.shadowColor = 'transparent';
+    }
+
+    // ----- State and transforms -----
+    save() {
+        const state = Object.fromEntries(SVG_STATE_KEYS.map(key => [key, this[key]]));
+        this.stack.push({ ...state, transform: [...this.transform], lineDash: [...this.lineDash] });
+    }
+
+    restore() {
+        if (this.stack.length > 0) Object.assign(this, this.stack.pop());
+    }
+
+    setTransform(a, b, c, d, e, f) {
+        this.transform = [a, b, c, d, e, f];
+    }
+
+    multiply(a2, b2, c2, d2, e2, f2) {
+        const [a, b, c, d, e, f] = this.transform;
+        this.transform = [
+            a * a2 + c * b2, b * a2 + d * b2,
+            a * c2 + c * d2, b * c2 + d * d2,
+            a * e2 + c * f2 + e, b * e2 + d * f2 + f
+        ];
+    }
+
+    scale(x, y) {
+        this.multiply(x, 0, 0, y, 0, 0);
+    }
+
+    translate(x, y) {
+        this.multiply(1, 0, 0, 1, x, y);
+    }
+
+    point(x, y) {
+        const [a, b, c, d, e, f] = this.transform;
+        return `${this.round(a * x + c * y + e)} ${this.round(b * x + d * y + f)}`;
+    }
+
+    length(value) {
+        return this.round(value * Math.hypot(this.transform[0], this.transform[1]));
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    setLineDash(segments) {
+        this.lineDash = [...segments];
+    }
+
+    getLineDash() {
+        return [...this.lineDash];
+    }
+
+    // ----- Paths -----
+    beginPath() {
+        this.path = '';
+    }
+
+    closePath() {
+        this.path += 'Z';
+    }
+
+    moveTo(x, y) {
+        this.path += `M${this.point(x, y)}`;
+    }
+
+    lineTo(x, y) {
+        this.path += `L${this.point(x, y)}`;
+    }
+
+    quadraticCurveTo(cx, cy, x, y) {
+        this.path += `Q${this.point(cx, cy)} ${this.point(x, y)}`;
+    }
+
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+    }
+
+    arc(x, y, radius, startAngle, endAngle) {
+        const r = this.length(radius);
+        const at = (angle) => this.point(x + radius * Math.cos(angle), y + radius * Math.sin(angle));
+        
+        // A full circle has to be split, one SVG arc cannot end where it starts
+        if (endAngle - startAngle >= 2 * Math.PI - 1e-6) {
+            this.path += `M${at(startAngle)}A${r} ${r} 0 1 1 ${at(startAngle + Math.PI)}A${r} ${r} 0 1 1 ${at(startAngle)}Z`;
+            return;
+        }
+        
+        const largeArc = endAngle - startAngle > Math.PI ? 1 : 0;
+        this.path += `${this.path ? 'L' : 'M'}${at(startAngle)}A${r} ${r} 0 ${largeArc} 1 ${at(endAngle)}`;
+    }
+
+    // ----- Painting -----
+    createRadialGradient(x0, y0, r0, x1, y1, r1) {
+        return { type: 'radial', x0, y0, r0, x1, y1, r1, stops: [], addColorStop(offset, color) { this.stops.push({ offset, color }); } };
+    }
+
+    createLinearGradient(x0, y0, x1, y1) {
+        return { type: 'linear', x0, y0, x1, y1, stops: [], addColorStop(offset, color) { this.stops.push({ offset, color }); } };
+    }
+
+    paint(style) {
+        if (typeof style === 'string') return escapeHtml(style);
+        
+        // Gradients are resolved in the current user space, like the canvas does
+        const id = `gradient${this.defs.length}`;
+        const stops = style.stops
+            .map(({ offset, color }) => `<stop offset="${offset}" stop-color="${escapeHtml(color)}"/>`)
+            .join('');
+        const [x0, y0] = this.point(style.x0, style.y0).split(' ');
+        const [x1, y1] = this.point(style.x1, style.y1).split(' ');
+        this.defs.push(style.type === 'radial'
+            ? `<radialGradient id="${id}" gradientUnits="userSpaceOnUse" cx="${x1}" cy="${y1}" r="${this.length(style.r1)}" fx="${x0}" fy="${y0}">${stops}</radialGradient>`
+            : `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${x0}" y1="${y0}" x2="${x1}" y2="${y1}">${stops}</linearGradient>`);
+        return `url(#${id})`;
+    }
+
+    // Canvas shadows become a drop-shadow filter, shared per color and blur
+    effects() {
+        let attributes = this.globalAlpha < 1 ? ` opacity="${this.globalAlpha}"` : '';
+        if (this.shadowBlur > 0 && this.shadowColor !== 'transparent') {
+            const key = `${this.shadowColor}|${this.shadowBlur}`;
+            if (!this.filters.has(key)) {
+                const id = `shadow${this.filters.size}`;
+                this.filters.set(key, id);
+                this.defs.push(`<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%"><feDropShadow dx="0" dy="0" stdDeviation="${this.length(this.shadowBlur / 2)}" flood-color="${escapeHtml(this.shadowColor)}"/></filter>`);
+            }
+            attributes += ` filter="url(#${this.filters.get(key)})"`;
+        }
+        return attributes;
+    }
+
+    fill() {
+        if (!this.path) return;
+        this.elements.push(`<path d="${this.path}" fill="${this.paint(this.fillStyle)}"${this.effects()}/>`);
+    }
+
+    stroke() {
+        if (!this.path) return;
+        const dash = this.lineDash.length > 0
+            ? ` stroke-dasharray="${this.lineDash.map(segment => this.length(segment)).join(' ')}"`
+            : '';
+        this.elements.push(`<path d="${this.path}" fill="none" stroke="${this.paint(this.strokeStyle)}" stroke-width="${this.length(this.lineWidth)}" stroke-linecap="round"${dash}${this.effects()}/>`);
+    }
+
+    fillRect(x, y, width, height) {
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.fill();
+    }
+
+    strokeRect(x, y, width, height) {
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.stroke();
+    }
+
+    // Every export starts from an empty document
+    clearRect() {}
+
+    // Sprites are a raster optimisation, vector output draws shapes instead
+    drawImage() {}
+
+    // ----- Text -----
+    parseFont() {
+        const match = /(bold\s+)?([\d.]+)px\s+(.+)/.exec(this.font) || [];
+        return { bold: Boolean(match[1]), size: Number(match[2]) || 10, family: match[3] || 'sans-serif' };
+    }
+
+    measureText(text) {
+        // Rough average glyph width, only used to size label backgrounds
+        return { width: String(text).length * this.parseFont().size * 0.6 };
+    }
+
+    fillText(text, x, y) {
+        const { bold, size, family } = this.parseFont();
+        const [tx, ty] = this.point(x, y).split(' ');
+        const anchor = { center: 'middle', right: 'end', end: 'end' }[this.textAlign] || 'start';
+        const baseline = { middle: 'central', top: 'hanging', bottom: 'text-after-edge' }[this.textBaseline] || 'alphabetic';
+        
+        this.elements.push(`<text x="${tx}" y="${ty}" fill="${this.paint(this.fillStyle)}" font-family="${escapeHtml(family)}" font-size="${this.length(size)}"${bold ? ' font-weight="bold"' : ''} text-anchor="${anchor}" dominant-baseline="${baseline}"${this.effects()}>${escapeHtml(text)}</text>`);
+    }
+
+    toString() {
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">`,
+            `<defs>${this.defs.join('')}</defs>`,
+            ...this.elements,
+            '</svg>'
+        ].join('\n');
+    }
+}
+
+// ===== SPATIAL INDEX =====
+// Uniform grid over node positions so hit-testing only looks at the few
+// cells around the cursor instead of scanning every node
+class SpatialIndex {
+    constructor(cellSize = CONFIG.CANVAS.nodeRadius * 2) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+    }
+
+    cellKey(x, y) {
+        return `${Math.floor(x / this.cellSize)},${Math.floor(y / this.cellSize)}`;
+    }
+
+    build(nodes) {
+        this.cells.clear();
+        for (const [id, { position }] of nodes) {
+            const key = this.cellKey(position.x, position.y);
+            const cell = this.cells.get(key);
+            if (cell) {
+                cell.push(id);
+            } else {
+                this.cells.set(key, [id]);
+            }
+        }
+    }
+
+    // Ids of every node whose center may lie within `radius` of (x, y)
+    query(x, y, radius) {
+        const ids = [];
+        const minX = Math.floor((x - radius) / this.cellSize);
+        const maxX = Math.floor((x + radius) / this.cellSize);
+        const minY = Math.floor((y - radius) / this.cellSize);
+        const maxY = Math.floor((y + radius) / this.cellSize);
+        
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                const cell = this.cells.get(`${cx},${cy}`);
+                if (cell) ids.push(...cell);
+            }
+        }
+        return ids;
+    }
+}
+
+// ===== ADVANCED CANVAS RENDERER =====
+class GraphRenderer {
+    constructor(canvasId, graph) {
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas.getContext('2d');
+        this.graph = graph;
+        this.scale = 1;
+        this.offset = { x: 0, y: 0 };
+        this.animatedNodes = new Set();
+        this.animatedEdges = new Set();
+        this.showDistances = false;
+        
+        // Editor state
+        this.selectedNode = null;
+        this.selectedEdge = null;
+        this.dragState = null;
+        this.suppressClick = false;
+        this.onGraphChange = null;
+        this.onLayoutChange = null;
+        this.layoutAnimation = null;
+        this.finishLayoutAnimation = null;
+        this.touchState = null;
+        
+        // Size in CSS pixels; the backing store is this times pixelRatio
+        this.width = 0;
+        this.height = 0;
+        this.pixelRatio = 1;
+        this.onResize = null;
+        
+        // Rendering state: one draw per animation frame, node sprites cached
+        // per color, and a spatial index rebuilt whenever a frame is drawn
+        this.frameRequest = null;
+        this.lastFrameTime = 0;
+        this.spriteCache = new Map();
+        this.spatialIndex = new SpatialIndex();
+        this.indexedGraph = null;
+        
+        // Export state: an opaque background (the page color shows through the
+        // canvas otherwise) and vector mode, which draws nodes without sprites
+        this.background = null;
+        this.vectorOutput = false;
+        
+        this.setupEventListeners();
+        this.setupResizeObserver();
+        this.render();
+    }
+
+    // The canvas is sized by CSS to fill its container, so observing it
+    // tracks the container; its backing store follows that size times
+    // devicePixelRatio so it stays sharp on HiDPI screens
+    setupResizeObserver() {
+        this.resize();
+        if (typeof ResizeObserver === 'undefined') return;
+        
+        this.resizeObserver = new ResizeObserver(() => this.resize());
+        this.resizeObserver.observe(this.canvas);
+    }
+
+    resize() {
+        const rect = this.canvas.getBoundingClientRect();
+        const width = Math.round(rect.width) || CONFIG.CANVAS.width;
+        const height = Math.round(rect.height) || CONFIG.CANVAS.height;
+        const pixelRatio = window.devicePixelRatio || 1;
+        if (width === this.width && height === this.height && pixelRatio === this.pixelRatio) return;
+        
+        this.width = width;
+        this.height = height;
+        this.pixelRatio = pixelRatio;
+        this.canvas.width = Math.round(width * pixelRatio);
+        this.canvas.height = Math.round(height * pixelRatio);
+        
+        this.render();
+        if (this.onResize) this.onResize();
+    }
+
+    setupEventListeners() {
+        this.canvas.addEventListener('click', (e) => this.handleCanvasClick(e));
+        this.canvas.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
+        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+        this.canvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
+        this.canvas.addEventListener('mouseleave', () => this.cancelDrag());
+        this.canvas.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        this.canvas.addEventListener('wheel', (e) => this.handleZoom(e));
+        this.canvas.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: false });
+        this.canvas.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: false });
+        this.canvas.addEventListener('touchend', (e) => this.handleTouchEnd(e));
+        this.canvas.addEventListener('touchcancel', (e) => this.handleTouchEnd(e));
+    }
+
+    // Screen = (world + offset) * scale, in CSS pixels of the canvas. The
+    // rect can differ from the last observed size mid-resize, so rescale
+    getCanvasPoint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * (this.width / rect.width),
+            y: (event.clientY - rect.top) * (this.height / rect.height)
+        };
+    }
+
+    screenToWorld({ x, y }) {
+        return {
+            x: x / this.scale - this.offset.x,
+            y: y / this.scale - this.offset.y
+        };
+    }
+
+    getWorldPoint(event) {
+        return this.screenToWorld(this.getCanvasPoint(event));
+    }
+
+    getVisibleWorldRect() {
+        const topLeft = this.screenToWorld({ x: 0, y: 0 });
+        return {
+            x: topLeft.x,
+            y: topLeft.y,
+            width: this.width / this.scale,
+            height: this.height / this.scale
+        };
+    }
+
+    // Bounding box of every node, padded by the node radius
+    getGraphBounds() {
+        if (this.graph.nodes.size === 0) return null;
+        
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const { position } of this.graph.nodes.values()) {
+            minX = Math.min(minX, position.x);
+            minY = Math.min(minY, position.y);
+            maxX = Math.max(maxX, position.x);
+            maxY = Math.max(maxY, position.y);
+        }
+        
+        const radius = CONFIG.CANVAS.nodeRadius;
+        return {
+            x: minX - radius,
+            y: minY - radius,
+            width: maxX - minX + 2 * radius,
+            height: maxY - minY + 2 * radius
+        };
+    }
+
+    // Closest node within the node radius; candidates come from the index,
+    // distances from the live positions
+    getNodeAt(x, y) {
+        if (this.indexedGraph !== this.graph) this.rebuildIndex();
+        
+        let closest = null;
+        let closestDistance = CONFIG.CANVAS.nodeRadius;
+        for (const nodeId of this.spatialIndex.query(x, y, CONFIG.CANVAS.nodeRadius)) {
+            const node = this.graph.nodes.get(nodeId);
+            if (!node) continue;
+            
+            const distance = Math.sqrt((x - node.position.x) ** 2 + (y - node.position.y) ** 2);
+            if (distance <= closestDistance) {
+                closest = nodeId;
+                closestDistance = distance;
+            }
+        }
+        return closest;
+    }
+
+    rebuildIndex() {
+        this.spatialIndex.build(this.graph.nodes);
+        this.indexedGraph = this.graph;
+    }
+
+    getEdgeAt(x, y, tolerance = 6) {
+        // Distance from the point to a segment
+        const segmentDistance = (from, to) => {
+            const dx = to.x - from.x;
+            const dy = to.y - from.y;
+            const lengthSq = dx * dx + dy * dy;
+            if (lengthSq === 0) return Infinity;
+            
+            const t = Math.max(0, Math.min(1, ((x - from.x) * dx + (y - from.y) * dy) / lengthSq));
+            return Math.sqrt((x - (from.x + t * dx)) ** 2 + (y - (from.y + t * dy)) ** 2);
+        };
+        
+        const lanes = this.graph.edgeLanes();
+        for (const [index, edge] of this.graph.edges.entries()) {
+            const from = this.graph.nodes.get(edge.from).position;
+            const to = this.graph.nodes.get(edge.to).position;
+            const control = this.edgeControlPoint(from, to, lanes[index]);
+            
+            // Curved parallel edges are tested as a short polyline
+            const points = control
+                ? Array.from({ length: 17 }, (_, i) => quadraticPoint(from, control, to, i / 16))
+                : [from, to];
+            for (let i = 0; i < points.length - 1; i++) {
+                if (segmentDistance(points[i], points[i + 1]) <= tolerance) return edge;
+            }
+        }
+        return null;
+    }
+
+    // Control point of the quadratic curve for a parallel edge; null keeps
+    // the edge straight. The curve's apex sits half-way to the control point
+    edgeControlPoint(from, to, lane) {
+        if (!lane) return null;
+        
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const length = Math.hypot(dx, dy) || 1;
+        const offset = 2 * lane * CONFIG.CANVAS.parallelEdgeSpacing;
+        return {
+            x: (from.x + to.x) / 2 - (dy / length) * offset,
+            y: (from.y + to.y) / 2 + (dx / length) * offset
+        };
+    }
+
+    notifyGraphChange() {
+        this.render();
+        if (this.onGraphChange) this.onGraphChange();
+    }
+
+    // Positions moved but vertices and edges did not, so a recorded run stays valid
+    notifyLayoutChange() {
+        this.render();
+        if (this.onLayoutChange) this.onLayoutChange();
+    }
+
+    handleCanvasClick(event) {
+        if (this.suppressClick) {
+            this.suppressClick = false;
+            return;
+        }
+        
+        const { x, y } = this.getWorldPoint(event);
+        const nodeId = this.getNodeAt(x, y);
+        
+        this.selectedNode = null;
+        this.selectedEdge = null;
+        
+        if (nodeId) {
+            this.selectedNode = nodeId;
+            document.getElementById('startNode').value = nodeId;
+            this.highlightNode(nodeId, '#f39c12');
+            return;
+        }
+        
+        this.selectedEdge = this.getEdgeAt(x, y);
+        this.render();
+    }
+
+    handleDoubleClick(event) {
+        if (this.graph.isAnimating) return;
+        
+        const { x, y } = this.getWorldPoint(event);
+        if (this.getNodeAt(x, y)) return;
+        
+        const label = this.graph.generateVertexLabel();
+        this.graph.addVertex(label, { x, y });
+        this.selectedNode = label;
+        this.selectedEdge = null;
+        this.notifyGraphChange();
+    }
+
+    handleMouseDown(event) {
+        if (event.button !== 0) return;
+        
+        const screen = this.getCanvasPoint(event);
+        if (this.getMinimapPointAt(screen)) {
+            this.dragState = { mode: 'minimap', moved: true };
+            this.panToMinimapPoint(screen);
+            return;
+        }
+        
+        const { x, y } = this.screenToWorld(screen);
+        const nodeId = this.graph.isAnimating ? null : this.getNodeAt(x, y);
+        
+        // Dragging empty space pans the view, even while an algorithm runs
+        if (!nodeId) {
+            this.dragState = {
+                mode: 'pan',
+                startScreen: screen,
+                startOffset: { ...this.offset },
+                moved: false
+            };
+            return;
+        }
+        
+        // Shift + drag draws a new edge, plain drag moves the node
+        this.dragState = {
+            nodeId,
+            mode: event.shiftKey ? 'connect' : 'move',
+            startX: x,
+            startY: y,
+            cursor: { x, y },
+            moved: false
+        };
+    }
+
+    handleMouseMove(event) {
+        const screen = this.getCanvasPoint(event);
+        const { x, y } = this.screenToWorld(screen);
+        
+        if (this.dragState?.mode === 'minimap') {
+            this.panToMinimapPoint(screen);
+            return;
+        }
+        
+        if (this.dragState?.mode === 'pan') {
+            const drag = this.dragState;
+            const dx = screen.x - drag.startScreen.x;
+            const dy = screen.y - drag.startScreen.y;
+            if (!drag.moved && Math.hypot(dx, dy) > 3) {
+                drag.moved = true;
             }
             
-            this.ctx.beginPath();
-            this.ctx.moveTo(fromNode.position.x, fromNode.position.y);
-            this.ctx.lineTo(toNode.position.x, toNode.position.y);
-            this.ctx.stroke();
-            
-            this.ctx.shadowBlur = 0;
+            if (drag.moved) {
+                this.offset = {
+                    x: drag.startOffset.x + dx / this.scale,
+                    y: drag.startOffset.y + dy / this.scale
+                };
+                this.canvas.style.cursor = 'grabbing';
+                this.render();
+            }
+            return;
+        }
+        
+        if (this.dragState) {
+            const drag = this.dragState;
+            if (!drag.moved && Math.hypot(x - drag.startX, y - drag.startY) > 3) {
+                drag.moved = true;
+            }
             
-            // Draw weight if exists
-            if (edge.weight && edge.weight !== 1) {
-                const midX = (fromNode.position.x + toNode.position.x) / 2;
-                const midY = (fromNode.position.y + toNode.position.y) / 2;
-                
-                this.ctx.fillStyle = '#64ffda';
-                this.ctx.font = '12px JetBrains Mono';
-                this.ctx.textAlign = 'center';
-                this.ctx.fillText(edge.weight.toString(), midX, midY);
+            if (drag.moved) {
+                if (drag.mode === 'move') {
+                    const node = this.graph.nodes.get(drag.nodeId);
+                    node.position = { x, y };
+                }
+                drag.cursor = { x, y };
+                this.canvas.style.cursor = drag.mode === 'move' ? 'grabbing' : 'crosshair';
+                this.render();
+                return;
             }
+        }
+        
+        const hoveredNode = this.getNodeAt(x, y);
+        
+        this.canvas.style.cursor = hoveredNode ? 'pointer' : 'default';
+        
+        // Show node info
+        const nodeInfo = document.getElementById('nodeInfo');
+        if (hoveredNode) {
+            const node = this.graph.nodes.get(hoveredNode);
+            nodeInfo.textContent = `Node: ${hoveredNode} | Visited: ${node.visited}`;
+            nodeInfo.style.opacity = '1';
+        } else {
+            nodeInfo.style.opacity = '0';
+        }
+    }
+
+    handleMouseUp(event) {
+        const drag = this.dragState;
+        this.dragState = null;
+        if (!drag || !drag.moved) return;
+        
+        this.suppressClick = true;
+        this.canvas.style.cursor = 'default';
+        
+        if (drag.mode === 'pan' || drag.mode === 'minimap') return;
+        
+        if (drag.mode === 'move') {
+            this.notifyGraphChange();
+            return;
+        }
+        
+        const { x, y } = this.getWorldPoint(event);
+        const target = this.getNodeAt(x, y);
+        
+        if (target && target !== drag.nodeId) {
+            this.createEdgeWithPrompt(drag.nodeId, target);
+        }
+        this.render();
+    }
+
+    cancelDrag() {
+        if (!this.dragState) return;
+        
+        const wasMoving = this.dragState.moved && this.dragState.mode === 'move';
+        this.dragState = null;
+        this.canvas.style.cursor = 'default';
+        
+        if (wasMoving) {
+            this.notifyGraphChange();
+        } else {
+            this.render();
+        }
+    }
+
+    createEdgeWithPrompt(from, to) {
+        const label = `${from} ${this.graph.directed ? '→' : '-'} ${to}`;
+        if (this.graph.hasEdge(from, to) && !confirm(`Cạnh ${label} đã tồn tại. Thêm một cạnh song song?`)) {
+            return;
+        }
+        
+        const input = prompt(`Trọng số cạnh ${label}:`, '1');
+        if (input === null) return;
+        
+        const weight = Number(input);
+        if (input.trim() === '' || !Number.isFinite(weight)) {
+            alert(`Trọng số không hợp lệ: "${input}"`);
+            return;
+        }
+        
+        this.graph.addEdge(from, to, weight);
+        this.selectedNode = null;
+        this.selectedEdge = this.graph.edges[this.graph.edges.length - 1];
+        this.notifyGraphChange();
+    }
+
+    handleKeyDown(event) {
+        if (event.key !== 'Delete' && event.key !== 'Backspace') return;
+        if (this.graph.isAnimating) return;
+        
+        if (this.selectedNode) {
+            event.preventDefault();
+            this.animatedNodes.delete(this.selectedNode);
+            this.graph.removeVertex(this.selectedNode);
+            this.selectedNode = null;
+            this.notifyGraphChange();
+        } else if (this.selectedEdge) {
+            event.preventDefault();
+            this.graph.removeEdgeAt(this.graph.edges.indexOf(this.selectedEdge));
+            this.selectedEdge = null;
+            this.notifyGraphChange();
+        }
+    }
+
+    handleZoom(event) {
+        event.preventDefault();
+        const zoom = event.deltaY > 0 ? 0.9 : 1.1;
+        this.zoomAt(this.getCanvasPoint(event), this.scale * zoom);
+    }
+
+    // Change the scale while keeping the world point under `screen` in place
+    zoomAt(screen, scale) {
+        const anchor = this.screenToWorld(screen);
+        this.scale = Math.max(CONFIG.CANVAS.minScale, Math.min(CONFIG.CANVAS.maxScale, scale));
+        this.offset = {
+            x: screen.x / this.scale - anchor.x,
+            y: screen.y / this.scale - anchor.y
+        };
+        this.render();
+    }
+
+    // One finger behaves like the mouse, two fingers pinch-zoom and pan
+    handleTouchStart(event) {
+        if (event.touches.length === 1) {
+            this.handleMouseDown({ ...this.touchPoint(event.touches[0]), button: 0, shiftKey: false });
+            return;
+        }
+        
+        event.preventDefault();
+        this.cancelDrag();
+        this.touchState = this.pinchState(event.touches);
+    }
+
+    handleTouchMove(event) {
+        if (this.touchState && event.touches.length >= 2) {
+            event.preventDefault();
+            const current = this.pinchState(event.touches);
+            const start = this.touchState;
+            
+            // The world point under the starting midpoint follows the fingers
+            const anchor = {
+                x: start.center.x / start.scale - start.offset.x,
+                y: start.center.y / start.scale - start.offset.y
+            };
+            this.scale = Math.max(CONFIG.CANVAS.minScale, Math.min(CONFIG.CANVAS.maxScale,
+                start.scale * current.distance / start.distance));
+            this.offset = {
+                x: current.center.x / this.scale - anchor.x,
+                y: current.center.y / this.scale - anchor.y
+            };
+            this.render();
+            return;
+        }
+        
+        if (this.dragState && event.touches.length === 1) {
+            event.preventDefault();
+            this.handleMouseMove(this.touchPoint(event.touches[0]));
+        }
+    }
+
+    handleTouchEnd(event) {
+        if (this.touchState) {
+            if (event.touches.length < 2) this.touchState = null;
+            return;
+        }
+        if (this.dragState) {
+            this.handleMouseUp(this.touchPoint(event.changedTouches[0]));
+            // Browsers send no click after a touch drag, so nothing to swallow
+            this.suppressClick = false;
+        }
+    }
+
+    touchPoint(touch) {
+        return { clientX: touch.clientX, clientY: touch.clientY };
+    }
+
+    pinchState(touches) {
+        const a = this.getCanvasPoint(touches[0]);
+        const b = this.getCanvasPoint(touches[1]);
+        return {
+            center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+            distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)),
+            scale: this.scale,
+            offset: { ...this.offset }
+        };
+    }
+
+    // Coalesce every render request made during a frame into a single draw
+    render() {
+        if (this.frameRequest) return;
+        
+        this.frameRequest = requestAnimationFrame(() => {
+            this.frameRequest = null;
+            this.draw();
         });
     }
 
-    drawNodes() {
-        this.graph.nodes.forEach((node, nodeId) => {
-            const gradient = this.ctx.createRadialGradient(
-                node.position.x, node.position.y, 0,
-                node.position.x, node.position.y, CONFIG.CANVAS.nodeRadius
-            );
+    draw() {
+        const frameStart = performance.now();
+        this.rebuildIndex();
+        
+        this.drawScene(true);
+        this.drawMinimap();
+        
+        this.lastFrameTime = performance.now() - frameStart;
+    }
+
+    drawScene(withOverlay) {
+        this.ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        if (this.background) {
+            this.ctx.fillStyle = this.background;
+            this.ctx.fillRect(0, 0, this.width, this.height);
+        }
+        
+        this.ctx.save();
+        this.ctx.scale(this.scale, this.scale);
+        this.ctx.translate(this.offset.x, this.offset.y);
+        
+        this.drawGrid();
+        this.drawEdges();
+        this.drawNodes();
+        if (withOverlay) this.drawEditorOverlay();
+        
+        this.ctx.restore();
+    }
+
+    // Draw the current view onto another context (a larger offscreen canvas
+    // or an SvgContext) without selection outlines or the minimap
+    renderTo(ctx, { pixelRatio = 1, background = null, vector = false } = {}) {
+        const saved = {
+            ctx: this.ctx,
+            pixelRatio: this.pixelRatio,
+            background: this.background,
+            vectorOutput: this.vectorOutput
+        };
+        Object.assign(this, { ctx, pixelRatio, background, vectorOutput: vector });
+        
+        try {
+            this.drawScene(false);
+        } finally {
+            Object.assign(this, saved);
+        }
+    }
+
+    exportPNG(resolution = 2, background = null) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(this.width * resolution);
+        canvas.height = Math.round(this.height * resolution);
+        this.renderTo(canvas.getContext('2d'), { pixelRatio: resolution, background });
+        
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    }
+
+    exportSVG(background = null) {
+        const svg = new SvgContext(this.width, this.height);
+        this.renderTo(svg, { background, vector: true });
+        return svg.toString();
+    }
+
+    // Level of detail: labels and weights are skipped once they would be too
+    // small to read, arrowheads once they would be a few pixels wide
+    getDetailLevel() {
+        const nodeRadius = CONFIG.CANVAS.nodeRadius * this.scale;
+        return {
+            labels: nodeRadius >= 8,
+            weights: this.scale >= 0.6,
+            arrows: this.scale >= 0.4
+        };
+    }
+
+    isVisible(x, y, margin, view) {
+        return x + margin >= view.x && x - margin <= view.x + view.width &&
+            y + margin >= view.y && y - margin <= view.y + view.height;
+    }
+
+    // Gradient disc with its white border rendered once per color, at a
+    // power-of-two resolution matching the current zoom
+    getNodeSprite(color, visited) {
+        const resolution = Math.max(0.125, Math.min(8, 2 ** Math.ceil(Math.log2(this.scale * this.pixelRatio))));
+        const key = `${color}|${visited}|${resolution}`;
+        const cached = this.spriteCache.get(key);
+        if (cached) return cached;
+        
+        const radius = CONFIG.CANVAS.nodeRadius;
+        const size = (radius + 2) * 2;
+        const sprite = document.createElement('canvas');
+        sprite.width = Math.ceil(size * resolution);
+        sprite.height = Math.ceil(size * resolution);
+        
+        const ctx = sprite.getContext('2d');
+        ctx.scale(resolution, resolution);
+        const gradient = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, radius);
+        gradient.addColorStop(0, color);
+        gradient.addColorStop(1, color + (visited ? 'cc' : '80'));
+        
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(size / 2, size / 2, radius, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        
+        if (this.spriteCache.size > 256) this.spriteCache.clear();
+        this.spriteCache.set(key, sprite);
+        return sprite;
+    }
+
+    // Covers the visible world rectangle; the spacing doubles when zoomed
+    // out far enough that lines would be under 10 screen pixels apart
+    drawGrid() {
+        let gridSize = 50;
+        while (gridSize * this.scale < 10) gridSize *= 2;
+        
+        const view = this.getVisibleWorldRect();
+        const startX = Math.floor(view.x / gridSize) * gridSize;
+        const startY = Math.floor(view.y / gridSize) * gridSize;
+        const right = view.x + view.width;
+        const bottom = view.y + view.height;
+        
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.05)';
+        this.ctx.lineWidth = 1 / this.scale;
+        this.ctx.beginPath();
+        
+        for (let x = startX; x <= right; x += gridSize) {
+            this.ctx.moveTo(x, view.y);
+            this.ctx.lineTo(x, bottom);
+        }
+        for (let y = startY; y <= bottom; y += gridSize) {
+            this.ctx.moveTo(view.x, y);
+            this.ctx.lineTo(right, y);
+        }
+        this.ctx.stroke();
+    }
+
+    // Plain edges share one path; arrows and highlighted edges are stroked
+    // on their own, highlighted ones last so they sit on top
+    drawEdges() {
+        const view = this.getVisibleWorldRect();
+        const detail = this.getDetailLevel();
+        const highlighted = [];
+        const weighted = [];
+        
+        const lanes = this.graph.edgeLanes();
+        const controls = new Map();
+        
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        
+        this.graph.edges.forEach((edge, index) => {
+            const fromNode = this.graph.nodes.get(edge.from);
+            const toNode = this.graph.nodes.get(edge.to);
+            
+            if (!fromNode || !toNode) return;
+            
+            const from = fromNode.position;
+            const to = toNode.position;
+            const halfWidth = Math.abs(to.x - from.x) / 2;
+            const halfHeight = Math.abs(to.y - from.y) / 2;
+            if (!this.isVisible((from.x + to.x) / 2, (from.y + to.y) / 2, Math.max(halfWidth, halfHeight), view)) return;
+            
+            const control = this.edgeControlPoint(from, to, lanes[index]);
+            controls.set(edge, control);
+            
+            if (edge.animated) {
+                highlighted.push(edge);
+            } else if (edge.directed && detail.arrows) {
+                // drawArrow strokes by itself, so flush the shared path first
+                this.ctx.stroke();
+                drawArrow(this.ctx, from, to, CONFIG.CANVAS.nodeRadius, 12, control);
+                this.ctx.beginPath();
+            } else {
+                this.ctx.moveTo(from.x, from.y);
+                if (control) {
+                    this.ctx.quadraticCurveTo(control.x, control.y, to.x, to.y);
+                } else {
+                    this.ctx.lineTo(to.x, to.y);
+                }
+            }
             
-            if (node.visited) {
-                gradient.addColorStop(0, '#27ae60');
-                gradient.addColorStop(1, '#2ecc71');
+            if (detail.weights && (edge.flow !== null || (edge.weight && edge.weight !== 1))) weighted.push(edge);
+        });
+        this.ctx.stroke();
+        
+        this.ctx.lineWidth = 4;
+        this.ctx.shadowBlur = 10;
+        highlighted.forEach(edge => {
+            const from = this.graph.nodes.get(edge.from).position;
+            const to = this.graph.nodes.get(edge.to).position;
+            const control = controls.get(edge);
+            this.ctx.strokeStyle = edge.color || '#64ffda';
+            this.ctx.shadowColor = edge.color || '#64ffda';
+            
+            if (edge.directed) {
+                drawArrow(this.ctx, from, to, CONFIG.CANVAS.nodeRadius, 12, control);
             } else {
-                gradient.addColorStop(0, node.color);
-                gradient.addColorStop(1, node.color + '80');
+                this.ctx.beginPath();
+                this.ctx.moveTo(from.x, from.y);
+                if (control) {
+                    this.ctx.quadraticCurveTo(control.x, control.y, to.x, to.y);
+                } else {
+                    this.ctx.lineTo(to.x, to.y);
+                }
+                this.ctx.stroke();
             }
+        });
+        this.ctx.shadowBlur = 0;
+        
+        this.ctx.fillStyle = '#64ffda';
+        this.ctx.font = '12px JetBrains Mono';
+        this.ctx.textAlign = 'center';
+        weighted.forEach(edge => {
+            const from = this.graph.nodes.get(edge.from).position;
+            const to = this.graph.nodes.get(edge.to).position;
+            const control = controls.get(edge);
+            const { x, y } = control ? quadraticPoint(from, control, to, 0.5) : { x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 };
+            const label = edge.flow !== null ? `${edge.flow}/${edge.weight}` : edge.weight.toString();
+            this.ctx.fillText(label, x, y);
+        });
+    }
+
+    drawNodes() {
+        const view = this.getVisibleWorldRect();
+        const detail = this.getDetailLevel();
+        const radius = CONFIG.CANVAS.nodeRadius;
+        const spriteSize = (radius + 2) * 2;
+        
+        this.graph.nodes.forEach((node, nodeId) => {
+            const { x, y } = node.position;
+            if (!this.isVisible(x, y, radius, view)) return;
             
             // Draw node glow if animated
             if (this.animatedNodes.has(nodeId)) {
@@ -399,27 +5335,121 @@ class GraphRenderer {
                 this.ctx.shadowBlur = 20;
             }
             
-            this.ctx.fillStyle = gradient;
-            this.ctx.beginPath();
-            this.ctx.arc(node.position.x, node.position.y, CONFIG.CANVAS.nodeRadius, 0, 2 * Math.PI);
-            this.ctx.fill();
-            
-            // Draw border
-            this.ctx.strokeStyle = '#ffffff';
-            this.ctx.lineWidth = 2;
-            this.ctx.stroke();
-            
+            if (this.vectorOutput) {
+                this.drawNodeShape(node);
+            } else {
+                this.ctx.drawImage(this.getNodeSprite(node.color, node.visited),
+                    x - spriteSize / 2, y - spriteSize / 2, spriteSize, spriteSize);
+            }
             this.ctx.shadowBlur = 0;
             
+            if (!detail.labels) return;
+            
             // Draw label
             this.ctx.fillStyle = '#ffffff';
             this.ctx.font = 'bold 16px Inter';
             this.ctx.textAlign = 'center';
             this.ctx.textBaseline = 'middle';
-            this.ctx.fillText(nodeId, node.position.x, node.position.y);
+            this.ctx.fillText(nodeId, x, y);
+            
+            if (this.showDistances) {
+                this.drawDistanceLabel(node);
+            }
+            if (node.annotation) {
+                this.drawNodeBadge(node.annotation, x + CONFIG.CANVAS.nodeRadius, y + CONFIG.CANVAS.nodeRadius, '#64ffda');
+            }
+            // The palette repeats, so the color number is printed as well
+            if (node.colorClass !== null && node.colorClass !== undefined) {
+                this.drawNodeBadge(`#${node.colorClass + 1}`, x - CONFIG.CANVAS.nodeRadius, y + CONFIG.CANVAS.nodeRadius, node.color);
+            }
         });
     }
 
+    // Same disc as the sprite, drawn directly for vector output
+    drawNodeShape(node) {
+        const { x, y } = node.position;
+        const gradient = this.ctx.createRadialGradient(x, y, 0, x, y, CONFIG.CANVAS.nodeRadius);
+        gradient.addColorStop(0, node.color);
+        gradient.addColorStop(1, node.color + (node.visited ? 'cc' : '80'));
+        
+        this.ctx.fillStyle = gradient;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, CONFIG.CANVAS.nodeRadius, 0, 2 * Math.PI);
+        this.ctx.fill();
+        this.ctx.strokeStyle = '#ffffff';
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
+    }
+
+    drawDistanceLabel(node) {
+        const text = node.distance === Infinity ? '∞' : node.distance.toString();
+        this.drawNodeBadge(text, node.position.x + CONFIG.CANVAS.nodeRadius, node.position.y - CONFIG.CANVAS.nodeRadius, '#9b59b6');
+    }
+
+    // Small boxed label pinned next to a node (distances, disc/low values)
+    drawNodeBadge(text, x, y, borderColor) {
+        this.ctx.font = '12px JetBrains Mono';
+        const width = this.ctx.measureText(text).width + 10;
+        
+        this.ctx.fillStyle = 'rgba(10, 10, 10, 0.8)';
+        this.ctx.strokeStyle = borderColor;
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.rect(x - width / 2, y - 9, width, 18);
+        this.ctx.fill();
+        this.ctx.stroke();
+        
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(text, x, y);
+    }
+
+    drawEditorOverlay() {
+        // Selection outline
+        if (this.selectedNode && this.graph.nodes.has(this.selectedNode)) {
+            const { position } = this.graph.nodes.get(this.selectedNode);
+            this.ctx.strokeStyle = '#f39c12';
+            this.ctx.lineWidth = 3;
+            this.ctx.setLineDash([6, 4]);
+            this.ctx.beginPath();
+            this.ctx.arc(position.x, position.y, CONFIG.CANVAS.nodeRadius + 6, 0, 2 * Math.PI);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+        }
+        
+        if (this.selectedEdge && this.graph.edges.includes(this.selectedEdge)) {
+            const from = this.graph.nodes.get(this.selectedEdge.from).position;
+            const to = this.graph.nodes.get(this.selectedEdge.to).position;
+            const control = this.edgeControlPoint(from, to, this.graph.edgeLanes()[this.graph.edges.indexOf(this.selectedEdge)]);
+            this.ctx.strokeStyle = '#f39c12';
+            this.ctx.lineWidth = 5;
+            this.ctx.globalAlpha = 0.6;
+            this.ctx.beginPath();
+            this.ctx.moveTo(from.x, from.y);
+            if (control) {
+                this.ctx.quadraticCurveTo(control.x, control.y, to.x, to.y);
+            } else {
+                this.ctx.lineTo(to.x, to.y);
+            }
+            this.ctx.stroke();
+            this.ctx.globalAlpha = 1;
+        }
+        
+        // Rubber-band line while connecting two nodes
+        if (this.dragState && this.dragState.mode === 'connect' && this.dragState.moved) {
+            const { position } = this.graph.nodes.get(this.dragState.nodeId);
+            this.ctx.strokeStyle = '#64ffda';
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([8, 6]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(position.x, position.y);
+            this.ctx.lineTo(this.dragState.cursor.x, this.dragState.cursor.y);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+        }
+    }
+
     async highlightNode(nodeId, color = '#e74c3c', duration = 1000) {
         const node = this.graph.nodes.get(nodeId);
         if (!node) return;
@@ -436,37 +5466,197 @@ class GraphRenderer {
         }, duration);
     }
 
-    async animateEdge(from, to, duration = 500) {
-        const edge = this.graph.edges.find(e => 
-            (e.from === from && e.to === to) || (e.from === to && e.to === from)
-        );
+    // A null duration keeps the edge highlighted until the graph is reset
+    async animateEdge(from, to, duration = 500, color = null) {
+        return this.animateEdgeAt(this.graph.edges.findIndex(e => this.graph.edgeMatches(e, from, to)), duration, color);
+    }
+
+    // By index, so one of several parallel edges can be picked out
+    async animateEdgeAt(index, duration = 500, color = null) {
+        const edge = this.graph.edges[index];
         
         if (edge) {
             edge.animated = true;
+            edge.color = color;
             this.render();
             
+            if (duration === null) return;
+            
             setTimeout(() => {
                 edge.animated = false;
+                edge.color = null;
                 this.render();
             }, duration);
         }
     }
 
+    // Ease every vertex from its current position to its target
+    animateToPositions(targets, duration = 600) {
+        // A newer layout supersedes a running one; settle the old promise
+        if (this.layoutAnimation) cancelAnimationFrame(this.layoutAnimation);
+        if (this.finishLayoutAnimation) this.finishLayoutAnimation();
+        
+        const moves = [];
+        targets.forEach((target, id) => {
+            const node = this.graph.nodes.get(id);
+            if (node) moves.push({ node, from: { ...node.position }, to: target });
+        });
+        
+        return new Promise(resolve => {
+            this.finishLayoutAnimation = resolve;
+            const startTime = performance.now();
+            const frame = (now) => {
+                const t = Math.min(1, (now - startTime) / duration);
+                const eased = 1 - Math.pow(1 - t, 3);
+                
+                moves.forEach(({ node, from, to }) => {
+                    node.position = {
+                        x: from.x + (to.x - from.x) * eased,
+                        y: from.y + (to.y - from.y) * eased
+                    };
+                });
+                this.draw();
+                
+                if (t < 1) {
+                    this.layoutAnimation = requestAnimationFrame(frame);
+                } else {
+                    this.layoutAnimation = null;
+                    this.finishLayoutAnimation = null;
+                    this.notifyLayoutChange();
+                    resolve();
+                }
+            };
+            this.layoutAnimation = requestAnimationFrame(frame);
+        });
+    }
+
     center() {
         this.offset = { x: 0, y: 0 };
         this.scale = 1;
         this.render();
     }
 
-    zoomIn() {
-        this.scale = Math.min(2, this.scale * 1.2);
+    // Scale and center the view on the bounding box of the graph; small
+    // graphs are not blown up past maxScale
+    fitToGraph(maxScale = 1) {
+        const bounds = this.getGraphBounds();
+        if (!bounds) return this.center();
+        
+        const padding = 20;
+        const scale = Math.min(
+            (this.width - 2 * padding) / bounds.width,
+            (this.height - 2 * padding) / bounds.height,
+            maxScale
+        );
+        this.scale = Math.max(CONFIG.CANVAS.minScale, Math.min(CONFIG.CANVAS.maxScale, scale));
+        this.offset = {
+            x: this.width / (2 * this.scale) - (bounds.x + bounds.width / 2),
+            y: this.height / (2 * this.scale) - (bounds.y + bounds.height / 2)
+        };
         this.render();
     }
 
+    zoomIn() {
+        this.zoomAt({ x: this.width / 2, y: this.height / 2 }, this.scale * 1.2);
+    }
+
     zoomOut() {
-        this.scale = Math.max(0.5, this.scale / 1.2);
+        this.zoomAt({ x: this.width / 2, y: this.height / 2 }, this.scale / 1.2);
+    }
+
+    // The minimap maps the union of the graph and the visible area into a
+    // fixed box in the bottom-right corner; it only shows up when part of the
+    // graph is off screen
+    getMinimapLayout() {
+        const bounds = this.getGraphBounds();
+        const view = this.getVisibleWorldRect();
+        if (!bounds) return null;
+        
+        const offScreen = bounds.x < view.x || bounds.y < view.y ||
+            bounds.x + bounds.width > view.x + view.width ||
+            bounds.y + bounds.height > view.y + view.height;
+        if (!offScreen) return null;
+        
+        const world = {
+            x: Math.min(bounds.x, view.x),
+            y: Math.min(bounds.y, view.y),
+            right: Math.max(bounds.x + bounds.width, view.x + view.width),
+            bottom: Math.max(bounds.y + bounds.height, view.y + view.height)
+        };
+        const size = CONFIG.CANVAS.minimapSize;
+        const ratio = Math.min(size / (world.right - world.x), size / (world.bottom - world.y));
+        const width = (world.right - world.x) * ratio;
+        const height = (world.bottom - world.y) * ratio;
+        
+        return {
+            box: { x: this.width - width - 10, y: this.height - height - 10, width, height },
+            world,
+            ratio,
+            view
+        };
+    }
+
+    getMinimapPointAt(screen) {
+        const layout = this.getMinimapLayout();
+        if (!layout) return null;
+        
+        const { box, world, ratio } = layout;
+        if (screen.x < box.x || screen.x > box.x + box.width || screen.y < box.y || screen.y > box.y + box.height) {
+            return null;
+        }
+        return {
+            x: world.x + (screen.x - box.x) / ratio,
+            y: world.y + (screen.y - box.y) / ratio
+        };
+    }
+
+    panToMinimapPoint(screen) {
+        const target = this.getMinimapPointAt(screen);
+        if (!target) return;
+        
+        this.offset = {
+            x: this.width / (2 * this.scale) - target.x,
+            y: this.height / (2 * this.scale) - target.y
+        };
         this.render();
     }
+
+    drawMinimap() {
+        const layout = this.getMinimapLayout();
+        if (!layout) return;
+        
+        const { box, world, ratio, view } = layout;
+        const toMinimap = (x, y) => ({ x: box.x + (x - world.x) * ratio, y: box.y + (y - world.y) * ratio });
+        const ctx = this.ctx;
+        
+        ctx.save();
+        ctx.fillStyle = 'rgba(10, 10, 30, 0.8)';
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.fillRect(box.x, box.y, box.width, box.height);
+        ctx.strokeRect(box.x, box.y, box.width, box.height);
+        
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+        ctx.beginPath();
+        this.graph.edges.forEach(edge => {
+            const from = toMinimap(this.graph.nodes.get(edge.from).position.x, this.graph.nodes.get(edge.from).position.y);
+            const to = toMinimap(this.graph.nodes.get(edge.to).position.x, this.graph.nodes.get(edge.to).position.y);
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+        });
+        ctx.stroke();
+        
+        this.graph.nodes.forEach(node => {
+            const point = toMinimap(node.position.x, node.position.y);
+            ctx.fillStyle = node.color;
+            ctx.fillRect(point.x - 1.5, point.y - 1.5, 3, 3);
+        });
+        
+        const corner = toMinimap(view.x, view.y);
+        ctx.strokeStyle = CONFIG.THEMES[this.graph.currentTheme].primary;
+        ctx.strokeRect(corner.x, corner.y, view.width * ratio, view.height * ratio);
+        ctx.restore();
+    }
 }
 
 // ===== APPLICATION STATE MANAGER =====
@@ -494,96 +5684,753 @@ class AppState {
         this.updateUI();
     }
 
-    updateStatistics(visitedCount, step) {
-        this.statistics.visitedNodes = visitedCount;
-        this.statistics.currentStep = step;
-        this.statistics.elapsedTime = Date.now() - this.startTime;
-        this.updateUI();
+    // Elapsed time is the algorithm's own compute time, not animation time
+    recordComputeTime(milliseconds) {
+        this.statistics.elapsedTime = Math.round(milliseconds * 100) / 100;
+        this.updateUI();
+    }
+
+    updateStatistics(visitedCount, step) {
+        this.statistics.visitedNodes = visitedCount;
+        this.statistics.currentStep = step;
+        this.updateUI();
+    }
+
+    stopAlgorithm() {
+        this.isRunning = false;
+        this.currentAlgorithm = null;
+        this.updateUI();
+    }
+
+    updateUI() {
+        document.getElementById('visitedCount').textContent = this.statistics.visitedNodes;
+        document.getElementById('elapsedTime').textContent = `${this.statistics.elapsedTime}ms`;
+        document.getElementById('currentStep').textContent = this.statistics.currentStep;
+    }
+
+    reset() {
+        this.statistics = {
+            visitedNodes: 0,
+            elapsedTime: 0,
+            currentStep: 0
+        };
+        this.updateUI();
+    }
+}
+
+// ===== STEP PLAYER =====
+// Plays back a recorded steps array; any step can be shown in any order
+class StepPlayer {
+    constructor(onStep) {
+        this.steps = [];
+        this.index = -1;
+        this.isPlaying = false;
+        this.timer = null;
+        this.onStep = onStep;
+        this.onStateChange = null;
+        this.getDelay = () => CONFIG.ANIMATION_SPEED;
+    }
+
+    get isFinished() {
+        return this.steps.length > 0 && this.index >= this.steps.length - 1;
+    }
+
+    load(steps) {
+        this.pause();
+        this.steps = steps;
+        this.index = -1;
+        this.notify();
+    }
+
+    clear() {
+        this.load([]);
+    }
+
+    play() {
+        if (this.steps.length === 0 || this.isPlaying) return;
+        if (this.isFinished) this.index = -1;
+        
+        this.isPlaying = true;
+        this.notify();
+        this.scheduleNext(this.index < 0 ? 0 : this.getDelay());
+    }
+
+    pause() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.isPlaying) return;
+        
+        this.isPlaying = false;
+        this.notify();
+    }
+
+    scheduleNext(delay) {
+        this.timer = setTimeout(() => {
+            this.stepForward();
+            if (this.isFinished) {
+                this.pause();
+            } else if (this.isPlaying) {
+                this.scheduleNext(this.getDelay());
+            }
+        }, delay);
+    }
+
+    stepForward() {
+        if (this.index >= this.steps.length - 1) return;
+        this.jumpTo(this.index + 1);
+    }
+
+    stepBack() {
+        if (this.index <= 0) return;
+        this.pause();
+        this.jumpTo(this.index - 1);
+    }
+
+    jumpTo(index) {
+        if (this.steps.length === 0) return;
+        
+        this.index = Math.max(0, Math.min(this.steps.length - 1, index));
+        this.onStep(this.steps[this.index], this.index);
+        this.notify();
+    }
+
+    notify() {
+        if (this.onStateChange) this.onStateChange();
+    }
+}
+
+// ===== MAIN APPLICATION =====
+class GraphApp {
+    constructor() {
+        this.graph = new ModernGraph();
+        this.renderer = null;
+        this.appState = new AppState();
+        this.player = new StepPlayer((step, index) => this.applyStep(step, index));
+        this.player.getDelay = () => this.graph.animationSpeed;
+        this.player.onStateChange = () => this.updatePlayerControls();
+        this.currentResults = null;
+        this.lastAlgorithm = null;
+        this.hashTimer = null;
+        this.activeLayout = null;
+        this.resizeTimer = null;
+        this.library = new GraphLibrary();
+        
+        this.initializeGraph();
+        this.setupEventListeners();
+        this.setupPlayerControls();
+        this.setupImportExport();
+        this.setupShareState();
+        this.setupLibrary();
+        this.setupGenerator();
+        this.setupCanvasExport();
+        this.initializeParticles();
+        this.setupLoadingScreen();
+    }
+
+    initializeGraph() {
+        // Create sample graph
+        const positions = {
+            'A': { x: 150, y: 100 },
+            'B': { x: 300, y: 50 },
+            'C': { x: 300, y: 150 },
+            'D': { x: 450, y: 50 },
+            'E': { x: 450, y: 150 }
+        };
+
+        ['A', 'B', 'C', 'D', 'E'].forEach(vertex => {
+            this.graph.addVertex(vertex, positions[vertex]);
+        });
+
+        this.graph.addEdge('A', 'B');
+        this.graph.addEdge('A', 'C');
+        this.graph.addEdge('B', 'D');
+        this.graph.addEdge('C', 'E');
+        this.graph.addEdge('D', 'E');
+        this.graph.addEdge('B', 'C'); // Additional edge for more interesting traversal
+
+        // Initialize renderer after DOM is loaded
+        setTimeout(() => {
+            this.renderer = new GraphRenderer('graphCanvas', this.graph);
+            this.renderer.onGraphChange = () => {
+                // Recorded steps no longer match an edited graph
+                if (this.player.steps.length > 0) this.reset();
+                // Manual edits take over from the last automatic layout
+                this.activeLayout = null;
+                this.populateStartNodes();
+                this.scheduleHashUpdate();
+            };
+            this.renderer.onLayoutChange = () => this.scheduleHashUpdate();
+            this.renderer.onResize = () => this.scheduleLayoutReflow();
+            this.populateStartNodes();
+            this.restoreSettings();
+            this.renderLibrary();
+            this.restoreFromHash();
+        }, 100);
+    }
+
+    // Swap in a new graph (import, library, generators) keeping user settings
+    loadGraph(graph) {
+        this.reset();
+        this.activeLayout = null;
+        
+        graph.animationSpeed = this.graph.animationSpeed;
+        graph.currentTheme = this.graph.currentTheme;
+        graph.reset();
+        
+        this.graph = graph;
+        if (this.renderer) {
+            this.renderer.graph = graph;
+            this.renderer.selectedNode = null;
+            this.renderer.selectedEdge = null;
+            this.renderer.animatedNodes.clear();
+            this.renderer.render();
+        }
+        
+        const directedToggle = document.getElementById('directedToggle');
+        if (directedToggle) directedToggle.checked = graph.directed;
+        
+        this.populateStartNodes();
+        this.scheduleHashUpdate();
+    }
+
+    // Lay the graph out over the visible area and remember the layout so it
+    // can reflow when the canvas is resized
+    applyLayout(name) {
+        if (!name || !this.renderer || this.graph.isAnimating) return;
+        
+        const start = document.getElementById('startNode')?.value;
+        const area = this.renderer.getVisibleWorldRect();
+        const targets = GraphLayout.compute(name, this.graph, { start, area });
+        return this.renderer.animateToPositions(targets).then(() => {
+            this.activeLayout = name;
+        });
+    }
+
+    scheduleLayoutReflow() {
+        if (!this.activeLayout) return;
+        
+        clearTimeout(this.resizeTimer);
+        this.resizeTimer = setTimeout(() => this.applyLayout(this.activeLayout), 200);
+    }
+
+    setupShareState() {
+        window.addEventListener('hashchange', () => this.restoreFromHash());
+        
+        ['startNode', 'targetNode'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.scheduleHashUpdate());
+        });
+        
+        document.getElementById('shareBtn')?.addEventListener('click', () => {
+            const hash = this.encodeShareState(true);
+            if (hash === null) {
+                this.showIOMessage('Đồ thị quá lớn để chia sẻ qua URL, hãy dùng Xuất JSON', 'error');
+                return;
+            }
+            
+            const url = `${location.href.split('#')[0]}#${hash}`;
+            navigator.clipboard.writeText(url).then(
+                () => this.showIOMessage('Đã sao chép liên kết chia sẻ (tự chạy khi mở)', 'success'),
+                () => this.showIOMessage('Không thể truy cập clipboard', 'error')
+            );
+        });
+    }
+
+    // Null when the encoded state would not fit in a URL
+    encodeShareState(autoplay = false) {
+        const hash = ShareState.encode({
+            graph: this.graph,
+            algorithm: this.lastAlgorithm,
+            startNode: document.getElementById('startNode')?.value,
+            targetNode: document.getElementById('targetNode')?.value,
+            speed: this.graph.animationSpeed,
+            theme: this.graph.currentTheme,
+            autoplay
+        });
+        
+        return hash.length > MAX_SHARE_HASH_LENGTH ? null : hash;
+    }
+
+    // Debounced so dragging a node does not flood the browser history API
+    scheduleHashUpdate() {
+        clearTimeout(this.hashTimer);
+        this.hashTimer = setTimeout(() => {
+            const hash = this.encodeShareState();
+            const base = location.href.split('#')[0];
+            
+            if (hash === null) {
+                // Too big to share: drop the stale hash rather than keep an outdated graph
+                if (location.hash.startsWith('#g=')) history.replaceState(null, '', base);
+                return;
+            }
+            if (location.hash !== `#${hash}`) {
+                history.replaceState(null, '', `${base}#${hash}`);
+            }
+        }, 300);
+    }
+
+    restoreFromHash() {
+        let state;
+        try {
+            state = ShareState.decode(location.hash);
+        } catch (error) {
+            if (!(error instanceof GraphFormatError)) throw error;
+            this.showIOMessage(error.message, 'error');
+            return;
+        }
+        if (!state || !this.renderer) return;
+        
+        if (state.theme) this.applyTheme(state.theme);
+        if (state.speed) this.setSpeed(state.speed);
+        this.loadGraph(state.graph);
+        
+        const startSelect = document.getElementById('startNode');
+        if (startSelect && state.graph.nodes.has(state.startNode)) startSelect.value = state.startNode;
+        const targetSelect = document.getElementById('targetNode');
+        if (targetSelect && (state.targetNode === null || state.graph.nodes.has(state.targetNode))) {
+            targetSelect.value = state.targetNode || '';
+        }
+        
+        this.lastAlgorithm = state.algorithm;
+        this.showIOMessage(`Đã mở đồ thị được chia sẻ (${state.graph.nodes.size} đỉnh)`, 'success');
+        
+        if (state.autoplay && state.algorithm) {
+            this.runAlgorithm(state.algorithm);
+        }
+    }
+
+    runAlgorithm(name) {
+        const runners = {
+            DFS: () => this.runDFS(),
+            BFS: () => this.runBFS(),
+            Dijkstra: () => this.runDijkstra(),
+            TopoKahn: () => this.runTopologicalSort('TopoKahn'),
+            TopoDFS: () => this.runTopologicalSort('TopoDFS'),
+            LongestPath: () => this.runLongestPath(),
+            Cycle: () => this.runFindCycle(),
+            Components: () => this.runComponents('Components'),
+            Tarjan: () => this.runComponents('Tarjan'),
+            Kosaraju: () => this.runComponents('Kosaraju'),
+            Bridges: () => this.runBridges(),
+            Kruskal: () => this.runMST('Kruskal'),
+            Prim: () => this.runMST('Prim'),
+            BellmanFord: () => this.runBellmanFord(),
+            FloydWarshall: () => this.runFloydWarshall(),
+            EdmondsKarp: () => this.runMaxFlow('EdmondsKarp'),
+            Dinic: () => this.runMaxFlow('Dinic'),
+            Bipartite: () => this.runColoring('Bipartite'),
+            GreedyColoring: () => this.runColoring('GreedyColoring'),
+            LargestFirst: () => this.runColoring('LargestFirst'),
+            DSatur: () => this.runColoring('DSatur'),
+            ExactColoring: () => this.runColoring('ExactColoring'),
+            Euler: () => this.runEulerian(),
+            HamiltonianPath: () => this.runHamiltonian('HamiltonianPath'),
+            HamiltonianCycle: () => this.runHamiltonian('HamiltonianCycle')
+        };
+        if (runners[name]) runners[name]();
+    }
+
+    setSpeed(speed) {
+        const slider = document.getElementById('speed');
+        const value = slider && slider.min && slider.max
+            ? Math.max(parseInt(slider.min), Math.min(parseInt(slider.max), speed))
+            : speed;
+        
+        this.graph.animationSpeed = value;
+        if (slider) slider.value = value;
+        const label = document.querySelector('.slider-value');
+        if (label) label.textContent = `${value}ms`;
+        this.library.saveSettings({ speed: value });
+        this.scheduleHashUpdate();
+    }
+
+    applyTheme(theme) {
+        this.graph.setTheme(theme);
+        document.querySelectorAll('.theme-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.theme === theme);
+        });
+        this.renderer?.render();
+        this.library.saveSettings({ theme });
+        this.scheduleHashUpdate();
+    }
+
+    restoreSettings() {
+        const { theme, speed } = this.library.getSettings();
+        if (Object.hasOwn(CONFIG.THEMES, theme)) this.applyTheme(theme);
+        if (Number.isFinite(speed)) this.setSpeed(speed);
+    }
+
+    setupLibrary() {
+        const nameInput = document.getElementById('libraryName');
+        
+        document.getElementById('saveGraphBtn')?.addEventListener('click', () => {
+            const name = nameInput.value.trim();
+            if (!name) {
+                this.showLibraryMessage('Hãy nhập tên cho đồ thị', 'error');
+                return;
+            }
+            if (this.library.findByName(name) && !confirm(`Ghi đè đồ thị "${name}"?`)) return;
+            
+            this.runLibraryAction(() => {
+                this.library.save(name, this.graph);
+                nameInput.value = '';
+                return `Đã lưu "${name}"`;
+            });
+        });
+        
+        document.getElementById('libraryList')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            
+            const id = button.closest('[data-id]').dataset.id;
+            const entry = this.library.find(id);
+            if (!entry) return;
+            
+            switch (button.dataset.action) {
+                case 'load':
+                    this.runLibraryAction(() => {
+                        this.loadGraph(this.library.load(id));
+                        return `Đã mở "${entry.name}"`;
+                    });
+                    break;
+                case 'rename': {
+                    const name = prompt('Tên mới:', entry.name);
+                    if (!name || !name.trim() || name.trim() === entry.name) return;
+                    if (this.library.findByName(name.trim())) {
+                        this.showLibraryMessage(`Đã có đồ thị tên "${name.trim()}"`, 'error');
+                        return;
+                    }
+                    this.runLibraryAction(() => {
+                        this.library.rename(id, name.trim());
+                        return `Đã đổi tên thành "${name.trim()}"`;
+                    });
+                    break;
+                }
+                case 'duplicate':
+                    this.runLibraryAction(() => `Đã tạo "${this.library.duplicate(id).name}"`);
+                    break;
+                case 'delete':
+                    if (!confirm(`Xóa đồ thị "${entry.name}"?`)) return;
+                    this.runLibraryAction(() => {
+                        this.library.remove(id);
+                        return `Đã xóa "${entry.name}"`;
+                    });
+                    break;
+            }
+        });
+    }
+
+    runLibraryAction(action) {
+        try {
+            this.showLibraryMessage(action(), 'success');
+        } catch (error) {
+            this.showLibraryMessage(error.message, 'error');
+        }
+        this.renderLibrary();
+    }
+
+    renderLibrary() {
+        const list = document.getElementById('libraryList');
+        if (!list) return;
+        
+        const entries = this.library.list();
+        if (entries.length === 0) {
+            list.innerHTML = '<div class="placeholder">Chưa có đồ thị nào được lưu</div>';
+            return;
+        }
+        
+        list.innerHTML = entries.map(entry => `
+            <div class="library-item" data-id="${escapeHtml(entry.id)}">
+                <div class="library-info">
+                    <span class="library-name">${escapeHtml(entry.name)}</span>
+                    <span class="library-meta">${entry.graph.vertices.length} đỉnh · ${new Date(entry.updatedAt).toLocaleString('vi-VN')}</span>
+                </div>
+                <div class="library-actions">
+                    <button class="graph-btn" data-action="load" title="Mở"><i class="fas fa-folder-open"></i></button>
+                    <button class="graph-btn" data-action="rename" title="Đổi tên"><i class="fas fa-pen"></i></button>
+                    <button class="graph-btn" data-action="duplicate" title="Nhân bản"><i class="fas fa-clone"></i></button>
+                    <button class="graph-btn" data-action="delete" title="Xóa"><i class="fas fa-trash"></i></button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    setupGenerator() {
+        const modelSelect = document.getElementById('generatorModel');
+        if (!modelSelect) return;
+        
+        const showFields = () => {
+            document.querySelectorAll('.generator-fields [data-models]').forEach(field => {
+                field.hidden = !field.dataset.models.split(' ').includes(modelSelect.value);
+            });
+        };
+        modelSelect.addEventListener('change', showFields);
+        showFields();
+        
+        document.getElementById('generateBtn')?.addEventListener('click', () => this.generateGraph());
+    }
+
+    generateGraph() {
+        const number = (id) => Number(document.getElementById(id).value);
+        const seedInput = document.getElementById('genSeed');
+        
+        // An empty seed draws a new one and shows it so the graph can be regenerated
+        if (seedInput.value.trim() === '') {
+            seedInput.value = Math.floor(Math.random() * 1e6);
+        }
+        
+        const model = document.getElementById('generatorModel').value;
+        try {
+            const graph = GraphGenerator.generate(model, {
+                n: number('genN'),
+                p: number('genP'),
+                m: number('genM'),
+                rows: number('genRows'),
+                cols: number('genCols'),
+                left: number('genLeft'),
+                right: number('genRight'),
+                minWeight: number('genMinWeight'),
+                maxWeight: number('genMaxWeight'),
+                seed: number('genSeed'),
+                directed: document.getElementById('genDirected').checked,
+                area: this.renderer?.getVisibleWorldRect()
+            });
+            this.loadGraph(graph);
+            this.showGeneratorMessage(`Đã tạo ${graph.nodes.size} đỉnh, ${graph.edges.length} cạnh (seed ${seedInput.value})`, 'success');
+        } catch (error) {
+            this.showGeneratorMessage(error.message, 'error');
+        }
+    }
+
+    showGeneratorMessage(message, type) {
+        this.showMessage('generatorMessage', message, type);
+    }
+
+    showLibraryMessage(message, type) {
+        this.showMessage('libraryMessage', message, type);
+    }
+
+    setupCanvasExport() {
+        document.getElementById('exportPngBtn')?.addEventListener('click', async () => {
+            const resolution = Number(document.getElementById('exportResolution').value) || 1;
+            const blob = await this.renderer.exportPNG(resolution, this.exportBackground());
+            // toBlob yields null when the canvas is larger than the browser allows
+            if (!blob) {
+                this.showMessage('exportMessage', 'Ảnh quá lớn để xuất, hãy giảm độ phân giải', 'error');
+                return;
+            }
+            downloadBlob(blob, 'graph.png');
+        });
+        
+        document.getElementById('exportSvgBtn')?.addEventListener('click', () => {
+            const svg = this.renderer.exportSVG(this.exportBackground());
+            downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), 'graph.svg');
+        });
+        
+        document.getElementById('recordBtn')?.addEventListener('click', () => this.recordRun());
+    }
+
+    // The canvas is transparent over the page, exports need that color baked in
+    exportBackground() {
+        return getComputedStyle(document.documentElement).getPropertyValue('--bg-primary').trim() || '#0a0a0a';
+    }
+
+    // Replay the loaded run from its first step while MediaRecorder captures
+    // the canvas, then download the WebM once playback stops
+    async recordRun() {
+        const canvas = this.renderer?.canvas;
+        if (typeof MediaRecorder === 'undefined' || !canvas?.captureStream) {
+            this.showMessage('exportMessage', 'Trình duyệt không hỗ trợ ghi video từ canvas', 'error');
+            return;
+        }
+        if (this.player.steps.length === 0) {
+            this.showMessage('exportMessage', 'Hãy chạy một thuật toán trước khi ghi', 'error');
+            return;
+        }
+        
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm'].find(type => MediaRecorder.isTypeSupported(type));
+        const recorder = new MediaRecorder(canvas.captureStream(30), mimeType ? { mimeType } : {});
+        const chunks = [];
+        recorder.ondataavailable = (e) => chunks.push(e.data);
+        const stopped = new Promise(resolve => {
+            recorder.onstop = resolve;
+        });
+        
+        const recordButton = document.getElementById('recordBtn');
+        if (recordButton) recordButton.disabled = true;
+        this.renderer.background = this.exportBackground();
+        this.renderer.render();
+        recorder.start();
+        this.showMessage('exportMessage', 'Đang ghi...', 'success');
+        
+        this.player.load(this.player.steps);
+        await new Promise(resolve => {
+            const updateControls = this.player.onStateChange;
+            this.player.onStateChange = () => {
+                updateControls();
+                if (this.player.isPlaying) return;
+                
+                this.player.onStateChange = updateControls;
+                resolve();
+            };
+            this.player.play();
+        });
+        
+        // Hold the final frame for a moment so the result is readable
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        recorder.stop();
+        await stopped;
+        
+        this.renderer.background = null;
+        this.renderer.render();
+        if (recordButton) recordButton.disabled = false;
+        downloadBlob(new Blob(chunks, { type: 'video/webm' }), `${this.currentResults?.algorithm || 'graph'}.webm`);
+        this.showMessage('exportMessage', 'Đã lưu video', 'success');
+    }
+
+    setupImportExport() {
+        const formatSelect = document.getElementById('ioFormat');
+        const textArea = document.getElementById('ioText');
+        
+        document.getElementById('importBtn')?.addEventListener('click', () => {
+            this.importGraph(textArea.value, formatSelect.value);
+        });
+        
+        document.getElementById('importFile')?.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            textArea.value = await file.text();
+            this.importGraph(textArea.value, formatSelect.value);
+            e.target.value = '';
+        });
+        
+        document.getElementById('exportBtn')?.addEventListener('click', () => {
+            const text = this.exportGraph(this.exportFormat(formatSelect.value));
+            if (text === null) return;
+            
+            const { extension, mime } = GraphSerializer.FORMATS[this.exportFormat(formatSelect.value)];
+            downloadBlob(new Blob([text], { type: mime }), `graph.${extension}`);
+        });
+        
+        document.getElementById('copyExportBtn')?.addEventListener('click', () => {
+            const text = this.exportGraph(this.exportFormat(formatSelect.value));
+            if (text === null) return;
+            
+            navigator.clipboard.writeText(text).then(
+                () => this.showIOMessage('Đã sao chép vào clipboard', 'success'),
+                () => this.showIOMessage('Không thể truy cập clipboard', 'error')
+            );
+        });
     }
 
-    stopAlgorithm() {
-        this.isRunning = false;
-        this.currentAlgorithm = null;
-        this.updateUI();
+    // "auto" only makes sense for import, export falls back to JSON
+    exportFormat(format) {
+        return format === 'auto' ? 'json' : format;
     }
 
-    updateUI() {
-        document.getElementById('visitedCount').textContent = this.statistics.visitedNodes;
-        document.getElementById('elapsedTime').textContent = `${this.statistics.elapsedTime}ms`;
-        document.getElementById('currentStep').textContent = this.statistics.currentStep;
+    importGraph(text, format) {
+        try {
+            const graph = GraphSerializer.import(text, format);
+            this.loadGraph(graph);
+            this.showIOMessage(`Đã nhập ${graph.nodes.size} đỉnh, ${graph.edges.length} cạnh`, 'success');
+        } catch (error) {
+            if (!(error instanceof GraphFormatError)) throw error;
+            this.showIOMessage(error.message, 'error');
+        }
     }
 
-    reset() {
-        this.statistics = {
-            visitedNodes: 0,
-            elapsedTime: 0,
-            currentStep: 0
-        };
-        this.updateUI();
+    exportGraph(format) {
+        try {
+            const text = GraphSerializer.export(this.graph, format);
+            document.getElementById('ioText').value = text;
+            this.showIOMessage(`Đã xuất dạng ${GraphSerializer.FORMATS[format].label}`, 'success');
+            return text;
+        } catch (error) {
+            if (!(error instanceof GraphFormatError)) throw error;
+            this.showIOMessage(error.message, 'error');
+            return null;
+        }
     }
-}
 
-// ===== MAIN APPLICATION =====
-class GraphApp {
-    constructor() {
-        this.graph = new ModernGraph();
-        this.renderer = null;
-        this.appState = new AppState();
-        this.currentResults = null;
+    showMessage(elementId, message, type) {
+        const messageDiv = document.getElementById(elementId);
+        if (!messageDiv) return;
         
-        this.initializeGraph();
-        this.setupEventListeners();
-        this.initializeParticles();
-        this.setupLoadingScreen();
+        messageDiv.textContent = message;
+        messageDiv.className = `io-message ${type}`;
     }
 
-    initializeGraph() {
-        // Create sample graph
-        const positions = {
-            'A': { x: 150, y: 100 },
-            'B': { x: 300, y: 50 },
-            'C': { x: 300, y: 150 },
-            'D': { x: 450, y: 50 },
-            'E': { x: 450, y: 150 }
-        };
+    showIOMessage(message, type) {
+        this.showMessage('ioMessage', message, type);
+    }
 
-        ['A', 'B', 'C', 'D', 'E'].forEach(vertex => {
-            this.graph.addVertex(vertex, positions[vertex]);
+    populateStartNodes() {
+        const vertices = Object.keys(this.graph.adjacencyList);
+        const options = vertices
+            .map(vertex => `<option value="${escapeHtml(vertex)}">Node ${escapeHtml(vertex)}</option>`)
+            .join('');
+        
+        const select = document.getElementById('startNode');
+        if (select) {
+            const previous = select.value;
+            select.innerHTML = options;
+            if (vertices.includes(previous)) {
+                select.value = previous;
+            }
+        }
+        
+        const targetSelect = document.getElementById('targetNode');
+        if (targetSelect) {
+            const previous = targetSelect.value;
+            targetSelect.innerHTML = `<option value="">Tất cả các đỉnh</option>${options}`;
+            targetSelect.value = vertices.includes(previous) ? previous : (vertices[vertices.length - 1] || '');
+        }
+        
+        // Flow source defaults to the first vertex and the sink to the last
+        [['flowSource', vertices[0]], ['flowSink', vertices[vertices.length - 1]]].forEach(([id, fallback]) => {
+            const flowSelect = document.getElementById(id);
+            if (!flowSelect) return;
+            
+            const previous = flowSelect.value;
+            flowSelect.innerHTML = options;
+            flowSelect.value = vertices.includes(previous) ? previous : (fallback || '');
         });
-
-        this.graph.addEdge('A', 'B');
-        this.graph.addEdge('A', 'C');
-        this.graph.addEdge('B', 'D');
-        this.graph.addEdge('C', 'E');
-        this.graph.addEdge('D', 'E');
-        this.graph.addEdge('B', 'C'); // Additional edge for more interesting traversal
-
-        // Initialize renderer after DOM is loaded
-        setTimeout(() => {
-            this.renderer = new GraphRenderer('graphCanvas', this.graph);
-        }, 100);
     }
 
     setupEventListeners() {
         // Algorithm buttons
         document.getElementById('dfsBtn')?.addEventListener('click', () => this.runDFS());
         document.getElementById('bfsBtn')?.addEventListener('click', () => this.runBFS());
+        document.getElementById('dijkstraBtn')?.addEventListener('click', () => this.runDijkstra());
+        document.getElementById('runSelectedBtn')?.addEventListener('click', () => {
+            this.runAlgorithm(document.getElementById('algorithmSelect').value);
+        });
+        document.getElementById('matchingPresetBtn')?.addEventListener('click', () => this.loadMatchingPreset());
+        document.getElementById('konigsbergPresetBtn')?.addEventListener('click', () => this.loadKonigsbergPreset());
+        document.getElementById('distanceMatrix')?.addEventListener('click', (e) => {
+            const cell = e.target.closest('td[data-from]');
+            if (cell) this.showMatrixPath(cell.dataset.from, cell.dataset.to);
+        });
         document.getElementById('resetBtn')?.addEventListener('click', () => this.reset());
 
         // Controls
+        document.getElementById('directedToggle')?.addEventListener('change', (e) => {
+            if (this.graph.isAnimating) {
+                e.target.checked = this.graph.directed;
+                return;
+            }
+            this.graph.setDirected(e.target.checked);
+            this.reset();
+            this.scheduleHashUpdate();
+        });
+
         document.getElementById('speed')?.addEventListener('input', (e) => {
-            this.graph.animationSpeed = parseInt(e.target.value);
-            document.querySelector('.slider-value').textContent = `${e.target.value}ms`;
+            this.setSpeed(parseInt(e.target.value));
         });
 
         // Theme selector
         document.querySelectorAll('.theme-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                document.querySelectorAll('.theme-btn').forEach(b => b.classList.remove('active'));
-                e.target.classList.add('active');
-                this.graph.setTheme(e.target.dataset.theme);
-                this.renderer?.render();
-            });
+            btn.addEventListener('click', (e) => this.applyTheme(e.target.dataset.theme));
         });
 
         // Result tabs
@@ -601,6 +6448,11 @@ class GraphApp {
         document.getElementById('zoomIn')?.addEventListener('click', () => this.renderer?.zoomIn());
         document.getElementById('zoomOut')?.addEventListener('click', () => this.renderer?.zoomOut());
         document.getElementById('centerGraph')?.addEventListener('click', () => this.renderer?.center());
+        document.getElementById('fitGraph')?.addEventListener('click', () => this.renderer?.fitToGraph());
+        document.getElementById('layoutSelect')?.addEventListener('change', (e) => {
+            this.applyLayout(e.target.value);
+            e.target.value = '';
+        });
 
         // Navigation
         this.setupSmoothScrolling();
@@ -615,80 +6467,730 @@ class GraphApp {
         document.querySelectorAll('.copy-btn').forEach(btn => {
             btn.addEventListener('click', (e) => this.copyCode(e.target));
         });
-
-        // Tab switching for algorithms
-        document.querySelectorAll('.tab-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
-                document.querySelectorAll('.tab-content').forEach(c => c.classList.remove('active'));
+
+        // Tab switching for algorithms
+        document.querySelectorAll('.tab-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
+                document.querySelectorAll('.tab-content').forEach(c => c.classList.remove('active'));
+                
+                e.target.classList.add('active');
+                document.getElementById(`${e.target.dataset.tab}-tab`).classList.add('active');
+            });
+        });
+    }
+
+    runDFS() {
+        const startNode = document.getElementById('startNode').value;
+        const trace = this.computeTrace('DFS', () => this.graph.dfsAdvanced(startNode));
+        if (!trace) return;
+        
+        this.displayResults('DFS', trace.result, trace.steps);
+        this.currentResults = { algorithm: 'DFS', ...trace };
+        this.playSteps(trace.steps);
+    }
+
+    runBFS() {
+        const startNode = document.getElementById('startNode').value;
+        const trace = this.computeTrace('BFS', () => this.graph.bfsAdvanced(startNode));
+        if (!trace) return;
+        
+        this.displayResults('BFS', trace.result, trace.steps);
+        this.currentResults = { algorithm: 'BFS', ...trace };
+        this.playSteps(trace.steps);
+    }
+
+    runDijkstra() {
+        if (this.graph.hasNegativeWeights()) {
+            this.displayAlgorithmError(NEGATIVE_WEIGHT_MESSAGE);
+            return;
+        }
+        
+        const startNode = document.getElementById('startNode').value;
+        const targetNode = document.getElementById('targetNode')?.value || null;
+        const trace = this.computeTrace('Dijkstra', () => this.graph.dijkstraAdvanced(startNode, targetNode));
+        if (!trace) return;
+        
+        const { result, steps, distances, path } = trace;
+        this.renderer.showDistances = true;
+        this.displayResults('Dijkstra', path.length > 0 ? path : result, steps);
+        this.displayDistanceTable(startNode, targetNode, distances, path);
+        this.currentResults = { algorithm: 'Dijkstra', ...trace };
+        this.playSteps(steps);
+    }
+
+    runTopologicalSort(algorithm) {
+        if (!this.requireDirected()) return;
+        
+        const trace = this.computeTrace(algorithm, () => algorithm === 'TopoKahn'
+            ? this.graph.topologicalSortKahnAdvanced()
+            : this.graph.topologicalSortDFSAdvanced());
+        if (!trace) return;
+        
+        this.displayResults(algorithm, trace.result, trace.steps);
+        if (!trace.isDAG) this.displayCycleWarning('Đồ thị không phải DAG, chu trình', trace.cycle);
+        this.currentResults = { algorithm, ...trace };
+        this.playSteps(trace.steps);
+    }
+
+    runLongestPath() {
+        if (!this.requireDirected()) return;
+        
+        const trace = this.computeTrace('LongestPath', () => this.graph.longestPathAdvanced());
+        if (!trace) return;
+        
+        this.renderer.showDistances = trace.isDAG;
+        this.displayResults('LongestPath', trace.result, trace.steps);
+        if (!trace.isDAG) this.displayCycleWarning('Đồ thị không phải DAG, chu trình', trace.cycle);
+        this.currentResults = { algorithm: 'LongestPath', ...trace };
+        this.playSteps(trace.steps);
+    }
+
+    // Scans from every vertex and handles every graph kind, so the start node is unused
+    runFindCycle() {
+        const trace = this.computeTrace('Cycle', () => this.graph.findCycleAdvanced());
+        if (!trace) return;
+        
+        this.displayResults('Cycle', trace.result, trace.steps);
+        if (!trace.hasCycle) {
+            document.getElementById('traversalResult').insertAdjacentHTML('beforeend', `
+                <div class="result-note"><i class="fas fa-check-circle"></i> Đồ thị không có chu trình</div>
+            `);
+        }
+        this.currentResults = { algorithm: 'Cycle', ...trace };
+        this.playSteps(trace.steps);
+    }
+
+    runComponents(algorithm) {
+        const compute = {
+            Components: () => this.graph.connectedComponentsAdvanced(),
+            Tarjan: () => this.graph.tarjanSCCAdvanced(),
+            Kosaraju: () => this.graph.kosarajuSCCAdvanced()
+        }[algorithm];
+        const trace = this.computeTrace(algorithm, compute);
+        if (!trace) return;
+        
+        this.displayResults(algorithm, trace.result, trace.steps);
+        this.displayComponentTable(trace.components);
+        this.currentResults = { algorithm, ...trace };
+        this.playSteps(trace.steps);
+    }
+
+    runBridges() {
+        const trace = this.computeTrace('Bridges', () => this.graph.bridgesAdvanced());
+        if (!trace) return;
+        
+        this.displayResults('Bridges', trace.result, trace.steps);
+        this.displayBridgeTable(trace);
+        this.currentResults = { algorithm: 'Bridges', ...trace };
+        this.playSteps(trace.steps);
+    }
+
+    runBellmanFord() {
+        const startNode = document.getElementById('startNode').value;
+        const targetNode = document.getElementById('targetNode')?.value || null;
+        const trace = this.computeTrace('BellmanFord', () => this.graph.bellmanFordAdvanced(startNode, targetNode));
+        if (!trace) return;
+        
+        const { result, steps, distances, path, negativeCycle } = trace;
+        this.renderer.showDistances = true;
+        this.displayResults('BellmanFord', path.length > 0 ? path : result, steps);
+        if (negativeCycle) {
+            this.displayCycleWarning('Chu trình âm, khoảng cách không xác định', negativeCycle);
+        } else {
+            this.displayDistanceTable(startNode, targetNode, distances, path);
+        }
+        this.currentResults = { algorithm: 'BellmanFord', ...trace };
+        this.playSteps(steps);
+    }
+
+    runFloydWarshall() {
+        const startNode = document.getElementById('startNode').value;
+        const targetNode = document.getElementById('targetNode')?.value || null;
+        const trace = this.computeTrace('FloydWarshall', () => this.graph.floydWarshallAdvanced());
+        if (!trace) return;
+        
+        const { steps, dist, next, negativeVertices } = trace;
+        const path = targetNode ? this.graph.floydWarshallPath(next, startNode, targetNode) : null;
+        this.displayResults('FloydWarshall', path || trace.result, steps);
+        if (negativeVertices.length > 0) {
+            this.displayCycleWarning('Chu trình âm đi qua', negativeVertices);
+        } else if (targetNode) {
+            document.getElementById('traversalResult').insertAdjacentHTML('beforeend', `
+                <div class="distance-summary">
+                    ${escapeHtml(path ? `Đường đi ngắn nhất ${startNode} → ${targetNode}: ${dist.get(startNode).get(targetNode)}` : `Không có đường đi từ ${startNode} tới ${targetNode}`)}
+                </div>
+            `);
+        }
+        this.currentResults = { algorithm: 'FloydWarshall', ...trace };
+        this.playSteps(steps);
+    }
+
+    // Clicking a matrix cell replays the reconstructed path on the canvas
+    showMatrixPath(from, to) {
+        if (this.currentResults?.algorithm !== 'FloydWarshall') return;
+        
+        const { dist, next } = this.currentResults;
+        const path = this.graph.floydWarshallPath(next, from, to);
+        const label = document.getElementById('matrixPath');
+        
+        this.player.pause();
+        this.graph.edges.forEach(edge => {
+            edge.animated = false;
+            edge.color = null;
+        });
+        
+        if (!path) {
+            if (label) label.textContent = `Không có đường đi xác định từ ${from} tới ${to}`;
+            this.renderer.render();
+            return;
+        }
+        
+        for (let i = 0; i < path.length - 1; i++) {
+            this.renderer.animateEdge(path[i], path[i + 1], null, CONFIG.ALGORITHM_COLORS.FloydWarshall);
+        }
+        this.renderer.render();
+        if (label) label.textContent = `${path.join(' → ')} (${dist.get(from).get(to)})`;
+    }
+
+    renderDistanceMatrix({ vertices, pivot, rows, updated }) {
+        const panel = document.getElementById('distanceMatrix');
+        if (!panel) return;
+        
+        const changed = new Set(updated.map(([row, col]) => `${row},${col}`));
+        const pivotClass = (vertex) => vertex === pivot ? 'pivot' : '';
+        const formatDistance = (distance) => distance === Infinity ? '∞' : distance;
+        
+        panel.hidden = false;
+        panel.innerHTML = `
+            <div class="distance-summary">
+                ${pivot === null ? 'Ma trận khoảng cách' : `Ma trận khoảng cách sau k = ${escapeHtml(pivot)}`}
+            </div>
+            <table class="distance-table matrix-table">
+                <tr><th></th>${vertices.map(vertex => `<th class="${pivotClass(vertex)}">${escapeHtml(vertex)}</th>`).join('')}</tr>
+                ${rows.map((row, r) => `
+                    <tr>
+                        <th class="${pivotClass(vertices[r])}">${escapeHtml(vertices[r])}</th>
+                        ${row.map((distance, c) => `
+                            <td data-from="${escapeHtml(vertices[r])}" data-to="${escapeHtml(vertices[c])}"
+                                class="${changed.has(`${r},${c}`) ? 'updated' : ''}">${formatDistance(distance)}</td>
+                        `).join('')}
+                    </tr>
+                `).join('')}
+            </table>
+            <div class="matrix-path" id="matrixPath">Bấm một ô để dựng lại đường đi</div>
+        `;
+    }
+
+    runColoring(algorithm) {
+        if (algorithm === 'ExactColoring' && this.graph.nodes.size > EXACT_COLORING_MAX_VERTICES) {
+            this.displayAlgorithmError(`Tô màu chính xác chỉ hỗ trợ đồ thị tối đa ${EXACT_COLORING_MAX_VERTICES} đỉnh, hãy dùng DSatur`);
+            return;
+        }
+        
+        const compute = {
+            Bipartite: () => this.graph.bipartiteAdvanced(),
+            GreedyColoring: () => this.graph.greedyColoringAdvanced('natural'),
+            LargestFirst: () => this.graph.greedyColoringAdvanced('largest'),
+            DSatur: () => this.graph.greedyColoringAdvanced('dsatur'),
+            ExactColoring: () => this.graph.exactColoringAdvanced()
+        }[algorithm];
+        const trace = this.computeTrace(algorithm, compute);
+        if (!trace) return;
+        
+        this.displayResults(algorithm, trace.result, trace.steps);
+        if (trace.oddCycle) {
+            this.displayCycleWarning('Không phải đồ thị hai phía, chu trình lẻ', trace.oddCycle);
+        } else {
+            this.displayColoringTable(trace.colors);
+        }
+        this.currentResults = { algorithm, ...trace };
+        this.playSteps(trace.steps);
+    }
+
+    runEulerian() {
+        const trace = this.computeTrace('Euler', () => this.graph.eulerianAdvanced());
+        if (!trace) return;
+        
+        this.displayResults('Euler', trace.result, trace.steps);
+        this.displayEulerTable(trace);
+        this.currentResults = { algorithm: 'Euler', ...trace };
+        this.playSteps(trace.steps);
+    }
+
+    loadKonigsbergPreset() {
+        this.loadGraph(GraphGenerator.konigsberg(this.renderer?.getVisibleWorldRect()));
+        document.getElementById('algorithmSelect').value = 'Euler';
+        this.runEulerian();
+    }
+
+    runHamiltonian(algorithm) {
+        if (this.graph.nodes.size > HAMILTONIAN_MAX_VERTICES) {
+            this.displayAlgorithmError(`Tìm Hamilton chỉ hỗ trợ đồ thị tối đa ${HAMILTONIAN_MAX_VERTICES} đỉnh`);
+            return;
+        }
+        
+        const trace = this.computeTrace(algorithm, () => this.graph.hamiltonianAdvanced(algorithm === 'HamiltonianCycle'));
+        if (!trace) return;
+        
+        this.displayResults(algorithm, trace.result, trace.steps);
+        document.getElementById('traversalResult').insertAdjacentHTML('beforeend', `
+            <div class="distance-summary">Nhánh đã thử: ${trace.explored} · bị cắt: ${trace.pruned}</div>
+            ${trace.found ? '' : `
+                <div class="${trace.truncated ? 'result-error' : 'result-note'}">
+                    <i class="fas fa-info-circle"></i> ${escapeHtml(trace.steps[trace.steps.length - 1].message)}
+                </div>
+            `}
+        `);
+        this.currentResults = { algorithm, ...trace };
+        this.playSteps(trace.steps);
+    }
+
+    runMaxFlow(algorithm) {
+        const source = document.getElementById('flowSource')?.value;
+        const sink = document.getElementById('flowSink')?.value;
+        
+        if (!this.graph.adjacencyList[source] || !this.graph.adjacencyList[sink] || source === sink) {
+            this.displayAlgorithmError('Hãy chọn nguồn và đích (sink) là hai đỉnh khác nhau');
+            return;
+        }
+        if (this.graph.hasNegativeWeights()) {
+            this.displayAlgorithmError('Dung lượng (trọng số cạnh) không được âm');
+            return;
+        }
+        
+        const trace = this.computeTrace(algorithm, () => algorithm === 'EdmondsKarp'
+            ? this.graph.edmondsKarpAdvanced(source, sink)
+            : this.graph.dinicAdvanced(source, sink));
+        if (!trace) return;
+        
+        this.displayResults(algorithm, trace.result, trace.steps);
+        this.displayFlowTable(trace);
+        this.currentResults = { algorithm, ...trace };
+        this.playSteps(trace.steps);
+    }
+
+    loadMatchingPreset() {
+        const left = ['L1', 'L2', 'L3', 'L4'];
+        const right = ['R1', 'R2', 'R3', 'R4'];
+        const pairs = [['L1', 'R1'], ['L1', 'R2'], ['L2', 'R1'], ['L3', 'R2'], ['L3', 'R3'], ['L4', 'R3'], ['L4', 'R4']];
+        
+        this.loadGraph(GraphGenerator.matchingNetwork(left, right, pairs, this.renderer?.getVisibleWorldRect()));
+        document.getElementById('flowSource').value = 'S';
+        document.getElementById('flowSink').value = 'T';
+        document.getElementById('algorithmSelect').value = 'EdmondsKarp';
+        this.runMaxFlow('EdmondsKarp');
+    }
+
+    runMST(algorithm) {
+        const trace = this.computeTrace(algorithm, () => algorithm === 'Kruskal'
+            ? this.graph.kruskalAdvanced()
+            : this.graph.primAdvanced());
+        if (!trace) return;
+        
+        this.renderer.showDistances = algorithm === 'Prim';
+        this.displayResults(algorithm, trace.result, trace.steps);
+        this.displayMSTTable(trace);
+        this.currentResults = { algorithm, ...trace };
+        this.playSteps(trace.steps);
+    }
+
+    requireDirected() {
+        if (this.graph.isFullyDirected() && this.graph.edges.length > 0) return true;
+        
+        this.displayAlgorithmError('Thuật toán này cần đồ thị có hướng: bật "Đồ thị có hướng" hoặc nhập một DAG');
+        return false;
+    }
+
+    displayAlgorithmError(message) {
+        this.reset();
+        document.getElementById('traversalResult').innerHTML = `
+            <div class="result-error"><i class="fas fa-exclamation-triangle"></i> ${escapeHtml(message)}</div>
+        `;
+    }
+
+    displayCycleWarning(label, cycle) {
+        document.getElementById('traversalResult').insertAdjacentHTML('beforeend', `
+            <div class="result-error">
+                <i class="fas fa-sync"></i> ${escapeHtml(label)}: ${escapeHtml(cycle.join(' → '))}
+            </div>
+        `);
+    }
+
+    // Runs an algorithm headlessly and times only the computation,
+    // the animation is replayed afterwards from the recorded steps
+    computeTrace(algorithm, compute) {
+        if (!this.prepareRun(algorithm)) return null;
+        
+        this.lastAlgorithm = algorithm;
+        this.scheduleHashUpdate();
+        
+        try {
+            const startTime = performance.now();
+            const trace = compute();
+            this.appState.recordComputeTime(performance.now() - startTime);
+            return trace;
+        } catch (error) {
+            console.error(`Error running ${algorithm}:`, error);
+            this.appState.stopAlgorithm();
+            return null;
+        }
+    }
+
+    // Shared guard + setup for every algorithm button
+    prepareRun(algorithm) {
+        if (this.graph.isAnimating || !this.renderer) return false;
+        if (!this.graph.adjacencyList[document.getElementById('startNode').value]) return false;
+        
+        this.player.clear();
+        this.graph.reset();
+        this.renderer.showDistances = false;
+        
+        const matrix = document.getElementById('distanceMatrix');
+        if (matrix) matrix.hidden = true;
+        this.renderer.render();
+        this.appState.startAlgorithm(algorithm);
+        return true;
+    }
+
+    playSteps(steps) {
+        this.player.load(steps);
+        this.player.play();
+    }
+
+    // Restore the canvas to exactly what it looked like at a recorded step
+    applyStep(step, index) {
+        const algorithm = this.currentResults?.algorithm;
+        const visitedColor = CONFIG.ALGORITHM_COLORS[algorithm] || CONFIG.ALGORITHM_COLORS.DFS;
+        
+        this.graph.reset();
+        this.graph.isAnimating = this.player.isPlaying;
+        this.renderer.animatedNodes.clear();
+        
+        (step.frontierState || []).forEach(nodeId => {
+            const node = this.graph.nodes.get(nodeId);
+            if (node) node.color = CONFIG.ALGORITHM_COLORS.frontier;
+        });
+        
+        (step.visitedState || []).forEach(nodeId => {
+            const node = this.graph.nodes.get(nodeId);
+            if (!node) return;
+            node.visited = true;
+            node.color = visitedColor;
+        });
+        
+        if (step.distanceState) {
+            Object.entries(step.distanceState).forEach(([nodeId, distance]) => {
+                const node = this.graph.nodes.get(nodeId);
+                if (node) node.distance = distance;
+            });
+        }
+        
+        (step.componentsState || []).forEach((component, index) => {
+            const color = CONFIG.COMPONENT_COLORS[index % CONFIG.COMPONENT_COLORS.length];
+            component.forEach(nodeId => {
+                const node = this.graph.nodes.get(nodeId);
+                if (node) node.color = color;
+            });
+        });
+        
+        Object.entries(step.coloringState || {}).forEach(([nodeId, colorClass]) => {
+            const node = this.graph.nodes.get(nodeId);
+            if (!node) return;
+            node.colorClass = colorClass;
+            node.color = CONFIG.COMPONENT_COLORS[colorClass % CONFIG.COMPONENT_COLORS.length];
+        });
+        
+        Object.entries(step.annotationState || {}).forEach(([nodeId, annotation]) => {
+            const node = this.graph.nodes.get(nodeId);
+            if (node) node.annotation = annotation;
+        });
+        
+        // DFS-tree and bridge edges may be stored against the edge direction
+        const edgeBetween = (a, b) => this.graph.edges.find(e =>
+            this.graph.edgeMatches(e, a, b) || this.graph.edgeMatches(e, b, a));
+        (step.treeState || []).forEach(([from, to]) => {
+            const edge = edgeBetween(from, to);
+            if (edge) edge.animated = true;
+        });
+        (step.bridgeState || []).forEach(([from, to]) => {
+            const edge = edgeBetween(from, to);
+            if (!edge) return;
+            edge.animated = true;
+            edge.color = CONFIG.ALGORITHM_COLORS.cycle;
+        });
+        (step.articulationState || []).forEach(nodeId => {
+            const node = this.graph.nodes.get(nodeId);
+            if (node) node.color = CONFIG.ALGORITHM_COLORS.articulation;
+        });
+        
+        if (step.matrixState) this.renderDistanceMatrix(step.matrixState);
+        
+        // Flow runs: flow/capacity labels, the level graph, the augmenting
+        // path on top, and finally the two sides of the minimum cut
+        (step.flowState || []).forEach((flow, index) => {
+            if (this.graph.edges[index]) this.graph.edges[index].flow = flow;
+        });
+        [[step.levelGraphState, CONFIG.ALGORITHM_COLORS.level], [step.augmentingState, CONFIG.ALGORITHM_COLORS.augment]]
+            .forEach(([indices, color]) => (indices || []).forEach(index => {
+                const edge = this.graph.edges[index];
+                if (!edge) return;
+                edge.animated = true;
+                edge.color = color;
+            }));
+        if (step.cutState) {
+            [[step.cutState.sourceSide, CONFIG.ALGORITHM_COLORS.sourceSide], [step.cutState.sinkSide, CONFIG.ALGORITHM_COLORS.sinkSide]]
+                .forEach(([side, color]) => side.forEach(nodeId => {
+                    const node = this.graph.nodes.get(nodeId);
+                    if (node) node.color = color;
+                }));
+            step.cutState.edges.forEach(index => {
+                const edge = this.graph.edges[index];
+                if (!edge) return;
+                edge.animated = true;
+                edge.color = CONFIG.ALGORITHM_COLORS.cycle;
+            });
+        }
+        
+        // Euler trail edges stay lit by index, so parallel edges are told apart
+        (step.trailState || []).forEach(index => {
+            this.renderer.animateEdgeAt(index, null, CONFIG.ALGORITHM_COLORS.Euler);
+        });
+        if (step.edgeIndex !== undefined) {
+            this.renderer.animateEdgeAt(step.edgeIndex, null, CONFIG.ALGORITHM_COLORS.augment);
+        }
+        
+        // Spanning-tree edges stay lit; a rejected edge flashes red
+        (step.mstState || []).forEach(([from, to]) => {
+            this.renderer.animateEdge(from, to, null, CONFIG.ALGORITHM_COLORS.mst);
+        });
+        if (step.type === 'reject' && step.edge) {
+            this.renderer.animateEdge(...step.edge, this.graph.animationSpeed * 0.8, CONFIG.ALGORITHM_COLORS.cycle);
+        }
+        
+        // Light up the edge being examined, or the whole path when one is known
+        const pathEdges = [];
+        if (step.path) {
+            for (let i = 0; i < step.path.length - 1; i++) pathEdges.push([step.path[i], step.path[i + 1]]);
+        } else if (step.from) {
+            pathEdges.push([step.from, step.node]);
+        }
+        pathEdges.forEach(([from, to]) => {
+            const edge = this.graph.edges.find(e => this.graph.edgeMatches(e, from, to));
+            if (edge) edge.animated = true;
+        });
+        
+        // A detected cycle is outlined in red, nodes and edges
+        if (step.cycle) {
+            step.cycle.forEach((nodeId, i) => {
+                const node = this.graph.nodes.get(nodeId);
+                if (node) node.color = CONFIG.ALGORITHM_COLORS.cycle;
                 
-                e.target.classList.add('active');
-                document.getElementById(`${e.target.dataset.tab}-tab`).classList.add('active');
+                const next = step.cycle[i + 1];
+                const edge = next && this.graph.edges.find(e => this.graph.edgeMatches(e, nodeId, next));
+                if (edge) {
+                    edge.animated = true;
+                    edge.color = CONFIG.ALGORITHM_COLORS.cycle;
+                }
             });
-        });
+        }
+        
+        if (step.node && this.graph.nodes.has(step.node)) {
+            this.renderer.animatedNodes.add(step.node);
+        }
+        
+        this.renderer.render();
+        this.appState.updateStatistics((step.visitedState || []).length, index + 1);
+        this.updateStepDisplay(step, index);
     }
 
-    async runDFS() {
-        if (this.graph.isAnimating) return;
+    setupPlayerControls() {
+        document.getElementById('playPauseBtn')?.addEventListener('click', () => {
+            if (this.player.isPlaying) {
+                this.player.pause();
+            } else {
+                this.player.play();
+            }
+        });
+        document.getElementById('stepBackBtn')?.addEventListener('click', () => this.player.stepBack());
+        document.getElementById('stepForwardBtn')?.addEventListener('click', () => this.player.stepForward());
+        document.getElementById('firstStepBtn')?.addEventListener('click', () => this.player.jumpTo(0));
+        document.getElementById('lastStepBtn')?.addEventListener('click', () => this.player.jumpTo(this.player.steps.length - 1));
         
-        this.graph.isAnimating = true;
-        this.appState.startAlgorithm('DFS');
-        this.graph.reset();
-        this.renderer.render();
+        document.getElementById('stepSlider')?.addEventListener('input', (e) => {
+            this.player.pause();
+            this.player.jumpTo(parseInt(e.target.value) - 1);
+        });
         
-        const startNode = document.getElementById('startNode').value;
-        const results = [];
+        // Clicking an entry in the step log jumps straight to it
+        document.getElementById('stepByStep')?.addEventListener('click', (e) => {
+            const item = e.target.closest('.step-item');
+            if (!item || this.player.steps.length === 0) return;
+            this.player.pause();
+            this.player.jumpTo(parseInt(item.dataset.step));
+        });
+    }
+
+    updatePlayerControls() {
+        const total = this.player.steps.length;
+        const current = this.player.index + 1;
         
-        try {
-            const { result, steps } = await this.graph.dfsAdvanced(
-                startNode,
-                async (node, status, level) => {
-                    await this.renderer.highlightNode(node, '#27ae60', this.graph.animationSpeed);
-                    this.appState.updateStatistics(results.length + 1, steps.length);
-                },
-                (step) => this.updateStepDisplay(step)
-            );
-            
-            this.displayResults('DFS', result, steps);
-            this.currentResults = { algorithm: 'DFS', result, steps };
-            
-        } catch (error) {
-            console.error('Error running DFS:', error);
-        } finally {
-            this.graph.isAnimating = false;
+        this.graph.isAnimating = this.player.isPlaying;
+        if (!this.player.isPlaying && this.player.isFinished) {
             this.appState.stopAlgorithm();
         }
+        
+        const slider = document.getElementById('stepSlider');
+        if (slider) {
+            slider.max = Math.max(total, 1);
+            slider.value = Math.max(current, 1);
+            slider.disabled = total === 0;
+        }
+        
+        const label = document.getElementById('stepLabel');
+        if (label) label.textContent = `${current} / ${total}`;
+        
+        const playIcon = document.querySelector('#playPauseBtn i');
+        if (playIcon) playIcon.className = this.player.isPlaying ? 'fas fa-pause' : 'fas fa-play';
+        
+        ['playPauseBtn', 'stepBackBtn', 'stepForwardBtn', 'firstStepBtn', 'lastStepBtn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = total === 0;
+        });
     }
 
-    async runBFS() {
-        if (this.graph.isAnimating) return;
+    displayDistanceTable(startNode, targetNode, distances, path) {
+        const traversalDiv = document.getElementById('traversalResult');
+        const formatDistance = (distance) => distance === Infinity ? '∞' : distance;
         
-        this.graph.isAnimating = true;
-        this.appState.startAlgorithm('BFS');
-        this.graph.reset();
-        this.renderer.render();
+        let summary;
+        if (!targetNode) {
+            summary = `Khoảng cách ngắn nhất từ ${startNode} tới mọi đỉnh`;
+        } else if (path.length > 0) {
+            summary = `Đường đi ngắn nhất ${startNode} → ${targetNode}: ${formatDistance(distances.get(targetNode))}`;
+        } else {
+            summary = `Không có đường đi từ ${startNode} tới ${targetNode}`;
+        }
         
-        const startNode = document.getElementById('startNode').value;
+        traversalDiv.insertAdjacentHTML('beforeend', `
+            <div class="distance-summary">${escapeHtml(summary)}</div>
+            <table class="distance-table">
+                <tr><th>Đỉnh</th>${[...distances.keys()].map(vertex => `<th>${escapeHtml(vertex)}</th>`).join('')}</tr>
+                <tr><td>dist</td>${[...distances.values()].map(distance => `<td>${formatDistance(distance)}</td>`).join('')}</tr>
+            </table>
+        `);
+    }
+
+    displayComponentTable(components) {
+        const colors = CONFIG.COMPONENT_COLORS;
+        document.getElementById('traversalResult').insertAdjacentHTML('beforeend', `
+            <div class="distance-summary">${components.length} thành phần</div>
+            <table class="distance-table">
+                <tr><th>#</th><th>Đỉnh</th><th>Số đỉnh</th></tr>
+                ${components.map((component, index) => `
+                    <tr>
+                        <td style="color: ${colors[index % colors.length]}">${index + 1}</td>
+                        <td>${escapeHtml(component.join(', '))}</td>
+                        <td>${component.length}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        `);
+    }
+
+    displayBridgeTable({ bridges, articulationPoints, disc, low }) {
+        const vertices = [...disc.keys()];
+        document.getElementById('traversalResult').insertAdjacentHTML('beforeend', `
+            <div class="distance-summary">Cầu: ${escapeHtml(bridges.map(([u, v]) => `${u}–${v}`).join(', ') || 'không có')}</div>
+            <div class="distance-summary">Đỉnh khớp: ${escapeHtml(articulationPoints.join(', ') || 'không có')}</div>
+            <table class="distance-table">
+                <tr><th>Đỉnh</th>${vertices.map(vertex => `<th>${escapeHtml(vertex)}</th>`).join('')}</tr>
+                <tr><td>disc</td>${vertices.map(vertex => `<td>${disc.get(vertex)}</td>`).join('')}</tr>
+                <tr><td>low</td>${vertices.map(vertex => `<td>${low.get(vertex)}</td>`).join('')}</tr>
+            </table>
+        `);
+    }
+
+    displayEulerTable({ kind, start, end, reason, degrees, directed }) {
+        const verdict = kind === 'circuit'
+            ? `Có chu trình Euler (xuất phát từ ${start})`
+            : kind === 'path'
+                ? `Có đường đi Euler từ ${start} đến ${end}`
+                : 'Không có đường đi hay chu trình Euler';
         
-        try {
-            const { result, steps, levels } = await this.graph.bfsAdvanced(
-                startNode,
-                async (node, status, level) => {
-                    await this.renderer.highlightNode(node, '#3498db', this.graph.animationSpeed);
-                    this.appState.updateStatistics(result.length, steps.length);
-                },
-                (step) => this.updateStepDisplay(step)
-            );
-            
-            this.displayResults('BFS', result, steps);
-            this.currentResults = { algorithm: 'BFS', result, steps, levels };
-            
-        } catch (error) {
-            console.error('Error running BFS:', error);
-        } finally {
-            this.graph.isAnimating = false;
-            this.appState.stopAlgorithm();
-        }
+        document.getElementById('traversalResult').insertAdjacentHTML('beforeend', `
+            <div class="distance-summary">${escapeHtml(verdict)}</div>
+            <div class="distance-summary">${escapeHtml(reason)}</div>
+            <table class="distance-table">
+                <tr><th>Đỉnh</th>${[...degrees.keys()].map(vertex => `<th>${escapeHtml(vertex)}</th>`).join('')}</tr>
+                <tr><td>${directed ? 'vào/ra' : 'bậc'}</td>${[...degrees.values()].map(degree => `<td>${degree}</td>`).join('')}</tr>
+            </table>
+        `);
+    }
+
+    // One row per color class; in a timetabling graph these are the slots
+    displayColoringTable(colors) {
+        const palette = CONFIG.COMPONENT_COLORS;
+        const classes = [];
+        colors.forEach((color, vertex) => {
+            (classes[color] = classes[color] || []).push(vertex);
+        });
+        
+        document.getElementById('traversalResult').insertAdjacentHTML('beforeend', `
+            <div class="distance-summary">Số màu sử dụng: ${classes.length}</div>
+            <table class="distance-table">
+                <tr><th>Màu</th><th>Đỉnh</th><th>Số đỉnh</th></tr>
+                ${classes.map((members, index) => `
+                    <tr>
+                        <td style="color: ${palette[index % palette.length]}">#${index + 1}</td>
+                        <td>${escapeHtml(members.join(', '))}</td>
+                        <td>${members.length}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        `);
+    }
+
+    displayFlowTable({ maxFlow, flows, cut }) {
+        const cutEdges = new Set(cut.edges);
+        
+        // In a matching network the saturated middle edges are the pairs
+        const isMatching = this.graph.nodes.has('S') && this.graph.nodes.has('T') &&
+            this.graph.edges.every(edge => edge.weight === 1 && edge.directed);
+        const matched = isMatching
+            ? this.graph.edges.filter((edge, index) => flows[index] === 1 && edge.from !== 'S' && edge.to !== 'T')
+            : [];
+        
+        document.getElementById('traversalResult').insertAdjacentHTML('beforeend', `
+            <div class="distance-summary">Luồng cực đại: ${maxFlow}</div>
+            ${isMatching ? `
+                <div class="distance-summary">
+                    Ghép cặp cực đại (${matched.length} cặp): ${escapeHtml(matched.map(({ from, to }) => `${from}–${to}`).join(', ') || 'không có')}
+                </div>
+            ` : ''}
+            <table class="distance-table">
+                <tr><th>Cạnh</th><th>Luồng / dung lượng</th><th>Lát cắt</th></tr>
+                ${this.graph.edges.map((edge, index) => `
+                    <tr>
+                        <td>${escapeHtml(`${edge.from} ${edge.directed ? '→' : '–'} ${edge.to}`)}</td>
+                        <td>${flows[index]}/${edge.weight}</td>
+                        <td>${cutEdges.has(index) ? '✂' : ''}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        `);
+    }
+
+    displayMSTTable({ edges, totalWeight, trees }) {
+        document.getElementById('traversalResult').insertAdjacentHTML('beforeend', `
+            <div class="distance-summary">
+                ${trees > 1 ? `Rừng khung nhỏ nhất (${trees} cây)` : 'Cây khung nhỏ nhất'}: tổng trọng số ${totalWeight}
+            </div>
+            <table class="distance-table">
+                <tr><th>Cạnh</th><th>Trọng số</th></tr>
+                ${edges.map(({ from, to, weight }) => `<tr><td>${escapeHtml(`${from} – ${to}`)}</td><td>${weight}</td></tr>`).join('')}
+            </table>
+        `);
     }
 
     displayResults(algorithm, result, steps) {
@@ -699,11 +7201,11 @@ class GraphApp {
         // Display traversal result
         traversalDiv.innerHTML = `
             <div class="result-header">
-                <h4><i class="fas fa-route"></i> ${algorithm} Traversal Result</h4>
+                <h4><i class="fas fa-route"></i> ${CONFIG.ALGORITHM_LABELS[algorithm] || `${algorithm} Traversal Result`}</h4>
             </div>
             <div class="result-path">
                 ${result.map((node, index) => 
-                    `<span class="path-node" style="animation-delay: ${index * 0.1}s">${node}</span>`
+                    `<span class="path-node" style="animation-delay: ${index * 0.1}s">${escapeHtml(node)}</span>`
                 ).join('<i class="fas fa-arrow-right path-arrow"></i>')}
             </div>
             <div class="result-stats">
@@ -713,6 +7215,12 @@ class GraphApp {
             </div>
         `;
         
+        // Step text carries vertex labels, which may come from an import or a
+        // shared link, so everything is escaped before it reaches innerHTML
+        const state = (label, text) => `<div class="step-state">${escapeHtml(`${label}: ${text}`)}</div>`;
+        const entries = (object, format = value => value) =>
+            `{${Object.entries(object).map(([vertex, value]) => `${vertex}: ${format(value)}`).join(', ')}}`;
+        
         // Display step-by-step
         stepsDiv.innerHTML = `
             <div class="steps-header">
@@ -723,9 +7231,16 @@ class GraphApp {
                     <div class="step-item ${step.type}" data-step="${index}">
                         <div class="step-number">${index + 1}</div>
                         <div class="step-content">
-                            <div class="step-message">${step.message}</div>
-                            ${step.stackState ? `<div class="step-state">Stack: [${step.stackState.join(', ')}]</div>` : ''}
-                            ${step.queueState ? `<div class="step-state">Queue: [${step.queueState.join(', ')}]</div>` : ''}
+                            <div class="step-message">${escapeHtml(step.message)}</div>
+                            ${step.stackState ? state('Stack', `[${step.stackState.join(', ')}]`) : ''}
+                            ${step.queueState ? state('Queue', `[${step.queueState.join(', ')}]`) : ''}
+                            ${step.priorityQueueState ? state('Priority Queue', `[${step.priorityQueueState.join(', ')}]`) : ''}
+                            ${step.inDegreeState ? state('In-degree', entries(step.inDegreeState)) : ''}
+                            ${step.orderState ? state('Order', `[${step.orderState.join(', ')}]`) : ''}
+                            ${step.finishedState ? state('Finished', `[${step.finishedState.join(', ')}]`) : ''}
+                            ${step.componentsState ? state('Components', step.componentsState.map(component => `{${component.join(', ')}}`).join(' ')) : ''}
+                            ${step.coloringState ? state('Colors', entries(step.coloringState, color => color + 1)) : ''}
+                            ${step.annotationState ? state(CONFIG.ANNOTATION_LABELS[algorithm] || 'disc/low', entries(step.annotationState)) : ''}
                         </div>
                     </div>
                 `).join('')}
@@ -738,7 +7253,7 @@ class GraphApp {
                 <h4><i class="fas fa-code"></i> Code Execution Trace</h4>
             </div>
             <pre class="execution-trace">
-                <code class="language-javascript">${this.generateCodeTrace(algorithm, result, steps)}</code>
+                <code class="language-javascript">${escapeHtml(this.generateCodeTrace(algorithm, result, steps))}</code>
             </pre>
         `;
         
@@ -750,31 +7265,638 @@ class GraphApp {
         }, 100);
     }
 
-    generateCodeTrace(algorithm, result, steps) {
-        if (algorithm === 'DFS') {
-            return `// DFS Execution Trace
-function dfs(graph, start = '${result[0]}') {
-    const visited = new Set();
-    const stack = ['${result[0]}'];
+    generateCodeTrace(algorithm, result, steps) {
+        if (algorithm === 'DFS') {
+            return `// DFS Execution Trace
+function dfs(graph, start = '${result[0]}') {
+    const visited = new Set();
+    const stack = ['${result[0]}'];
+    
+    while (stack.length > 0) {
+        const vertex = stack.pop();
+        
+        if (!visited.has(vertex)) {
+            visited.add(vertex);
+            console.log('Visited: ' + vertex);
+            
+            // Add neighbors to stack
+            graph[vertex].forEach(neighbor => {
+                if (!visited.has(neighbor)) {
+                    stack.push(neighbor);
+                }
+            });
+        }
+    }
+    
+    return [${result.map(r => `'${r}'`).join(', ')}];
+}`;
+        } else if (algorithm === 'TopoKahn') {
+            return `// Topological Sort (Kahn) Execution Trace
+function topologicalSort(graph) {
+    const inDegree = {};
+    for (const vertex in graph) inDegree[vertex] = 0;
+    for (const vertex in graph) {
+        graph[vertex].forEach(({ node }) => inDegree[node]++);
+    }
+    
+    const queue = Object.keys(inDegree).filter(vertex => inDegree[vertex] === 0);
+    const order = [];
+    
+    while (queue.length > 0) {
+        const vertex = queue.shift();
+        order.push(vertex);
+        
+        // Removing the vertex frees every neighbor left without incoming edges
+        graph[vertex].forEach(({ node }) => {
+            if (--inDegree[node] === 0) queue.push(node);
+        });
+    }
+    
+    // Fewer vertices than the graph has means a cycle blocked the rest
+    return order.length === Object.keys(graph).length ? order : null;
+}
+
+// Result: [${result.map(r => `'${r}'`).join(', ')}]`;
+        } else if (algorithm === 'TopoDFS') {
+            return `// Topological Sort (DFS) Execution Trace
+function topologicalSort(graph) {
+    const color = {};      // undefined = white, 'gray' = on stack, 'black' = done
+    const finished = [];
+    
+    function visit(vertex) {
+        color[vertex] = 'gray';
+        for (const { node } of graph[vertex]) {
+            if (color[node] === 'gray') throw new Error('Cycle through ' + node);
+            if (!color[node]) visit(node);
+        }
+        color[vertex] = 'black';
+        finished.push(vertex);
+    }
+    
+    for (const vertex in graph) {
+        if (!color[vertex]) visit(vertex);
+    }
+    
+    return finished.reverse();
+}
+
+// Result: [${result.map(r => `'${r}'`).join(', ')}]`;
+        } else if (algorithm === 'LongestPath') {
+            return `// Longest Path (DAG) Execution Trace
+function longestPath(graph, order = topologicalSort(graph)) {
+    const length = {};
+    const previous = {};
+    order.forEach(vertex => { length[vertex] = 0; previous[vertex] = null; });
+    
+    // In topological order every predecessor is final before its successors
+    for (const vertex of order) {
+        graph[vertex].forEach(({ node, weight }) => {
+            if (length[vertex] + weight > length[node]) {
+                length[node] = length[vertex] + weight;
+                previous[node] = vertex;
+            }
+        });
+    }
+    
+    return { length, previous };
+}
+
+// Result: [${result.map(r => `'${r}'`).join(', ')}]`;
+        } else if (algorithm === 'Cycle') {
+            return `// Cycle Detection Execution Trace
+function findCycle(graph, directed) {
+    const color = {};      // undefined = white, 'gray' = on path, 'black' = done
+    const path = [];
+    
+    function visit(vertex, parent) {
+        color[vertex] = 'gray';
+        path.push(vertex);
+        let skippedParent = false;
+        
+        for (const { node } of graph[vertex]) {
+            // The undirected edge we arrived by is not a cycle
+            if (!directed && node === parent && !skippedParent) {
+                skippedParent = true;
+                continue;
+            }
+            if (color[node] === 'gray') return [...path.slice(path.indexOf(node)), node];
+            if (!color[node]) {
+                const cycle = visit(node, vertex);
+                if (cycle) return cycle;
+            }
+        }
+        
+        color[vertex] = 'black';
+        path.pop();
+        return null;
+    }
+    
+    for (const vertex in graph) {
+        const cycle = !color[vertex] && visit(vertex, null);
+        if (cycle) return cycle;
+    }
+    return null;
+}
+
+// Result: ${result.length > 0 ? `[${result.map(r => `'${r}'`).join(', ')}]` : 'null'}`;
+        } else if (algorithm === 'Components') {
+            return `// Connected Components Execution Trace
+function connectedComponents(graph) {
+    const seen = new Set();
+    const components = [];
+    
+    for (const root in graph) {
+        if (seen.has(root)) continue;
+        
+        // Everything reachable from an unseen vertex forms a new component
+        const component = [root];
+        const queue = [root];
+        seen.add(root);
+        while (queue.length > 0) {
+            graph[queue.shift()].forEach(({ node }) => {
+                if (seen.has(node)) return;
+                seen.add(node);
+                component.push(node);
+                queue.push(node);
+            });
+        }
+        components.push(component);
+    }
+    
+    return components;
+}
+
+// Result: [${steps[steps.length - 1].componentsState.map(component => `[${component.map(r => `'${r}'`).join(', ')}]`).join(', ')}]`;
+        } else if (algorithm === 'Tarjan') {
+            return `// Tarjan SCC Execution Trace
+function tarjan(graph) {
+    let time = 0;
+    const disc = {}, low = {}, stack = [], onStack = new Set(), components = [];
+    
+    function visit(vertex) {
+        disc[vertex] = low[vertex] = time++;
+        stack.push(vertex);
+        onStack.add(vertex);
+        
+        for (const { node } of graph[vertex]) {
+            if (disc[node] === undefined) {
+                visit(node);
+                low[vertex] = Math.min(low[vertex], low[node]);
+            } else if (onStack.has(node)) {
+                low[vertex] = Math.min(low[vertex], disc[node]);
+            }
+        }
+        
+        // vertex is the root of a component: pop it off the stack
+        if (low[vertex] === disc[vertex]) {
+            const component = [];
+            let top;
+            do {
+                top = stack.pop();
+                onStack.delete(top);
+                component.push(top);
+            } while (top !== vertex);
+            components.push(component);
+        }
+    }
+    
+    for (const vertex in graph) {
+        if (disc[vertex] === undefined) visit(vertex);
+    }
+    return components;
+}
+
+// Result: [${steps[steps.length - 1].componentsState.map(component => `[${component.map(r => `'${r}'`).join(', ')}]`).join(', ')}]`;
+        } else if (algorithm === 'Kosaraju') {
+            return `// Kosaraju SCC Execution Trace
+function kosaraju(graph) {
+    const order = [];
+    const seen = new Set();
+    
+    function finish(vertex) {
+        seen.add(vertex);
+        graph[vertex].forEach(({ node }) => { if (!seen.has(node)) finish(node); });
+        order.push(vertex);
+    }
+    for (const vertex in graph) {
+        if (!seen.has(vertex)) finish(vertex);
+    }
+    
+    const transposed = {};
+    for (const vertex in graph) transposed[vertex] = [];
+    for (const vertex in graph) {
+        graph[vertex].forEach(({ node }) => transposed[node].push(vertex));
+    }
+    
+    // Latest finisher first; each DFS on the transposed graph is one component
+    const assigned = new Set();
+    const components = [];
+    function collect(vertex, component) {
+        assigned.add(vertex);
+        component.push(vertex);
+        transposed[vertex].forEach(node => { if (!assigned.has(node)) collect(node, component); });
+    }
+    for (const vertex of order.reverse()) {
+        if (assigned.has(vertex)) continue;
+        const component = [];
+        collect(vertex, component);
+        components.push(component);
+    }
+    return components;
+}
+
+// Result: [${steps[steps.length - 1].componentsState.map(component => `[${component.map(r => `'${r}'`).join(', ')}]`).join(', ')}]`;
+        } else if (algorithm === 'Bridges') {
+            return `// Bridges & Articulation Points Execution Trace
+function bridgesAndArticulationPoints(graph) {
+    let time = 0;
+    const disc = {}, low = {}, bridges = [], articulation = new Set();
+    
+    function visit(vertex, parent) {
+        disc[vertex] = low[vertex] = time++;
+        let children = 0;
+        
+        for (const { node } of graph[vertex]) {
+            if (node === parent) continue;
+            if (disc[node] === undefined) {
+                children++;
+                visit(node, vertex);
+                low[vertex] = Math.min(low[vertex], low[node]);
+                
+                // node's subtree cannot climb above vertex without this edge
+                if (low[node] > disc[vertex]) bridges.push([vertex, node]);
+                if (parent !== null && low[node] >= disc[vertex]) articulation.add(vertex);
+            } else {
+                low[vertex] = Math.min(low[vertex], disc[node]);
+            }
+        }
+        
+        if (parent === null && children > 1) articulation.add(vertex);
+    }
+    
+    for (const vertex in graph) {
+        if (disc[vertex] === undefined) visit(vertex, null);
+    }
+    return { bridges, articulation: [...articulation] };
+}
+
+// Articulation points: [${result.map(r => `'${r}'`).join(', ')}]`;
+        } else if (algorithm === 'Kruskal') {
+            return `// Kruskal Execution Trace
+function kruskal(vertices, edges) {
+    const parent = {}, rank = {};
+    vertices.forEach(vertex => { parent[vertex] = vertex; rank[vertex] = 0; });
+    
+    // Path compression: every vertex on the way points straight at the root
+    function find(vertex) {
+        if (parent[vertex] !== vertex) parent[vertex] = find(parent[vertex]);
+        return parent[vertex];
+    }
+    
+    const tree = [];
+    for (const edge of [...edges].sort((a, b) => a.weight - b.weight)) {
+        const a = find(edge.from), b = find(edge.to);
+        if (a === b) continue; // would close a cycle
+        
+        // Union by rank
+        if (rank[a] < rank[b]) parent[a] = b;
+        else if (rank[a] > rank[b]) parent[b] = a;
+        else { parent[b] = a; rank[a]++; }
+        tree.push(edge);
+    }
+    return tree;
+}
+
+// Result: ${steps[steps.length - 1].mstState.map(([from, to]) => `${from}–${to}`).join(', ')}`;
+        } else if (algorithm === 'Prim') {
+            return `// Prim Execution Trace
+function prim(graph) {
+    const key = {}, via = {}, inTree = new Set(), tree = [];
+    const heap = new PriorityQueue();
+    
+    for (const root in graph) {
+        if (inTree.has(root)) continue;
+        heap.insert(root, 0);
+        
+        while (!heap.isEmpty()) {
+            const { key: vertex } = heap.extractMin();
+            inTree.add(vertex);
+            if (via[vertex]) tree.push(via[vertex]);
+            
+            // Remember the lightest edge reaching each outside vertex
+            graph[vertex].forEach(({ node, weight }) => {
+                if (inTree.has(node) || weight >= (key[node] ?? Infinity)) return;
+                key[node] = weight;
+                via[node] = { from: vertex, to: node, weight };
+                heap.insert(node, weight);
+            });
+        }
+    }
+    return tree;
+}
+
+// Result: ${steps[steps.length - 1].mstState.map(([from, to]) => `${from}–${to}`).join(', ')}
+
+// Binary heap used by prim()
+${PriorityQueue.toString()}`;
+        } else if (algorithm === 'BellmanFord') {
+            return `// Bellman–Ford Execution Trace
+function bellmanFord(graph, start = '${steps[0].node}') {
+    const vertices = Object.keys(graph);
+    const distances = {};
+    vertices.forEach(vertex => distances[vertex] = Infinity);
+    distances[start] = 0;
+    
+    // A shortest path uses at most V - 1 edges
+    for (let i = 1; i < vertices.length; i++) {
+        let changed = false;
+        for (const from of vertices) {
+            graph[from].forEach(({ node, weight }) => {
+                if (distances[from] + weight < distances[node]) {
+                    distances[node] = distances[from] + weight;
+                    changed = true;
+                }
+            });
+        }
+        if (!changed) break;
+    }
+    
+    // Still improvable after V - 1 rounds: negative cycle
+    for (const from of vertices) {
+        for (const { node, weight } of graph[from]) {
+            if (distances[from] + weight < distances[node]) return null;
+        }
+    }
+    return distances; // ${steps.filter(step => step.type === 'relax').length} relaxations
+}
+
+// Result: ${steps.some(step => step.type === 'cycle') ? 'null (negative cycle)' : `[${result.map(r => `'${r}'`).join(', ')}]`}`;
+        } else if (algorithm === 'FloydWarshall') {
+            return `// Floyd–Warshall Execution Trace
+function floydWarshall(graph) {
+    const vertices = Object.keys(graph);
+    const dist = {}, next = {};
+    for (const i of vertices) {
+        dist[i] = {}; next[i] = {};
+        for (const j of vertices) {
+            dist[i][j] = i === j ? 0 : Infinity;
+            next[i][j] = i === j ? i : null;
+        }
+        graph[i].forEach(({ node, weight }) => {
+            if (weight < dist[i][node]) { dist[i][node] = weight; next[i][node] = node; }
+        });
+    }
+    
+    // Round k allows paths through vertices up to and including k
+    for (const k of vertices) {
+        for (const i of vertices) {
+            for (const j of vertices) {
+                if (dist[i][k] + dist[k][j] < dist[i][j]) {
+                    dist[i][j] = dist[i][k] + dist[k][j];
+                    next[i][j] = next[i][k];
+                }
+            }
+        }
+    }
+    return { dist, next };
+}
+
+function path(next, from, to) {
+    if (next[from][to] === null) return null;
+    const result = [from];
+    while (from !== to) result.push(from = next[from][to]);
+    return result;
+}
+
+// Vertices: [${result.map(r => `'${r}'`).join(', ')}]`;
+        } else if (algorithm === 'Bipartite') {
+            return `// Bipartiteness Check Execution Trace
+function isBipartite(graph) {
+    const side = new Map();
+    
+    for (const root of graph.vertices()) {
+        if (side.has(root)) continue;
+        side.set(root, 0);
+        const queue = [root];
+        
+        while (queue.length > 0) {
+            const u = queue.shift();
+            for (const v of graph.neighbors(u)) {
+                if (!side.has(v)) {
+                    side.set(v, 1 - side.get(u));
+                    queue.push(v);
+                } else if (side.get(v) === side.get(u)) {
+                    return false; // u–v closes an odd cycle
+                }
+            }
+        }
+    }
+    return true;
+}
+
+// Result: ${steps[steps.length - 1].message}`;
+        } else if (['GreedyColoring', 'LargestFirst', 'DSatur'].includes(algorithm)) {
+            return `// Greedy Coloring Execution Trace
+function greedyColoring(graph, order) {
+    const color = new Map();
+    
+    // natural: insertion order; largest first: by degree, descending;
+    // DSatur: re-pick the vertex with most distinct neighbour colors each time
+    for (const u of order(graph, color)) {
+        const taken = new Set(graph.neighbors(u).filter(v => color.has(v)).map(v => color.get(v)));
+        let c = 0;
+        while (taken.has(c)) c++;
+        color.set(u, c);
+    }
+    return color;
+}
+
+// Order: [${steps[steps.length - 1].orderState.join(', ')}]
+// Result: ${steps[steps.length - 1].message}`;
+        } else if (algorithm === 'ExactColoring') {
+            return `// Exact Coloring Execution Trace
+function chromaticNumber(graph) {
+    const vertices = graph.vertices();
+    const color = new Map();
+    
+    const place = (i, k, used) => {
+        if (i === vertices.length) return true;
+        const u = vertices[i];
+        // Opening at most one new color skips relabelled duplicates
+        for (let c = 0; c < Math.min(k, used + 1); c++) {
+            if (graph.neighbors(u).some(v => color.get(v) === c)) continue;
+            color.set(u, c);
+            if (place(i + 1, k, Math.max(used, c + 1))) return true;
+            color.delete(u);
+        }
+        return false; // prune
+    };
+    
+    for (let k = 1; ; k++) {
+        if (place(0, k, 0)) return k;
+    }
+}
+
+// Pruned branches: ${steps.filter(step => step.type === 'prune').length}
+// Result: ${steps[steps.length - 1].message}`;
+        } else if (algorithm === 'Euler') {
+            return `// Hierholzer Execution Trace
+function hierholzer(graph, start) {
+    const used = new Set();
+    const stack = [start];
+    const circuit = [];
+    
+    while (stack.length > 0) {
+        const u = stack[stack.length - 1];
+        // Edges are identified by index, so parallel edges are distinct
+        const next = graph.incident(u).find(({ edge }) => !used.has(edge));
+        if (next) {
+            used.add(next.edge);
+            stack.push(next.node);
+        } else {
+            circuit.push(stack.pop());
+        }
+    }
+    return circuit.reverse();
+}
+
+// Result: ${steps[steps.length - 1].message}`;
+        } else if (algorithm === 'HamiltonianPath' || algorithm === 'HamiltonianCycle') {
+            return `// Hamiltonian Backtracking Execution Trace
+function hamiltonian(graph, closed) {
+    const n = graph.vertices().length;
+    const path = [];
+    
+    const extend = () => {
+        const last = path[path.length - 1];
+        if (path.length === n) return !closed || graph.hasEdge(last, path[0]);
+        // Prune: every unvisited vertex must still be reachable from last
+        if (!reachesAllUnvisited(graph, last, path)) return false;
+        
+        for (const v of graph.neighbors(last)) {
+            if (path.includes(v)) continue;
+            path.push(v);
+            if (extend()) return true;
+            path.pop();
+        }
+        return false;
+    };
+    
+    for (const start of closed ? [graph.vertices()[0]] : graph.vertices()) {
+        path.length = 0;
+        path.push(start);
+        if (extend()) return path;
+    }
+    return null;
+}
+
+// Pruned branches: ${steps.filter(step => step.type === 'prune').length}
+// Result: ${steps[steps.length - 1].message}`;
+        } else if (algorithm === 'EdmondsKarp') {
+            return `// Edmonds–Karp Execution Trace
+function edmondsKarp(capacity, source, sink) {
+    // capacity[u][v] doubles as the residual capacity
+    let total = 0;
     
-    while (stack.length > 0) {
-        const vertex = stack.pop();
+    for (;;) {
+        // Shortest augmenting path by BFS
+        const parent = { [source]: null };
+        const queue = [source];
+        while (queue.length > 0 && !(sink in parent)) {
+            const u = queue.shift();
+            for (const v in capacity[u]) {
+                if (!(v in parent) && capacity[u][v] > 0) {
+                    parent[v] = u;
+                    queue.push(v);
+                }
+            }
+        }
+        if (!(sink in parent)) return total;
         
-        if (!visited.has(vertex)) {
-            visited.add(vertex);
-            console.log('Visited: ' + vertex);
-            
-            // Add neighbors to stack
-            graph[vertex].forEach(neighbor => {
-                if (!visited.has(neighbor)) {
-                    stack.push(neighbor);
+        let bottleneck = Infinity;
+        for (let v = sink; v !== source; v = parent[v]) {
+            bottleneck = Math.min(bottleneck, capacity[parent[v]][v]);
+        }
+        for (let v = sink; v !== source; v = parent[v]) {
+            capacity[parent[v]][v] -= bottleneck;
+            capacity[v][parent[v]] = (capacity[v][parent[v]] || 0) + bottleneck;
+        }
+        total += bottleneck;
+    }
+}
+
+// Augmenting paths: ${steps.filter(step => step.type === 'augment').length}
+// Max flow: ${steps[steps.length - 1].message}`;
+        } else if (algorithm === 'Dinic') {
+            return `// Dinic Execution Trace
+function dinic(capacity, source, sink) {
+    let total = 0;
+    
+    for (;;) {
+        // Level graph: BFS distance from the source over residual arcs
+        const level = { [source]: 0 };
+        const queue = [source];
+        while (queue.length > 0) {
+            const u = queue.shift();
+            for (const v in capacity[u]) {
+                if (!(v in level) && capacity[u][v] > 0) {
+                    level[v] = level[u] + 1;
+                    queue.push(v);
                 }
-            });
+            }
         }
+        if (!(sink in level)) return total;
+        
+        // Blocking flow: DFS only along arcs one level deeper
+        const push = (u, limit) => {
+            if (u === sink) return limit;
+            for (const v in capacity[u]) {
+                if (capacity[u][v] <= 0 || level[v] !== level[u] + 1) continue;
+                const pushed = push(v, Math.min(limit, capacity[u][v]));
+                if (pushed > 0) {
+                    capacity[u][v] -= pushed;
+                    capacity[v][u] = (capacity[v][u] || 0) + pushed;
+                    return pushed;
+                }
+            }
+            level[u] = -1; // dead end for the rest of the phase
+            return 0;
+        };
+        for (let pushed; (pushed = push(source, Infinity)) > 0;) total += pushed;
     }
+}
+
+// Phases: ${steps.filter(step => step.type === 'levels').length}
+// Max flow: ${steps[steps.length - 1].message}`;
+        } else if (algorithm === 'Dijkstra') {
+            return `// Dijkstra Execution Trace
+function dijkstra(graph, start = '${steps[0].node}') {
+    const distances = {};
+    const queue = new PriorityQueue();
     
-    return [${result.map(r => `'${r}'`).join(', ')}];
-}`;
+    for (const vertex in graph) distances[vertex] = Infinity;
+    distances[start] = 0;
+    queue.insert(start, 0);
+    
+    while (!queue.isEmpty()) {
+        const { key: node, priority: distance } = queue.extractMin();
+        
+        // Relax every outgoing edge
+        graph[node].forEach(({ node: neighbor, weight }) => {
+            if (distance + weight < distances[neighbor]) {
+                distances[neighbor] = distance + weight;
+                queue.insert(neighbor, distances[neighbor]); // insert or decrease-key
+            }
+        });
+    }
+    
+    return distances; // ${steps.filter(step => step.type === 'relax').length} relaxations
+}
+
+// Result: [${result.map(r => `'${r}'`).join(', ')}]
+
+// Binary heap used by dijkstra()
+${PriorityQueue.toString()}`;
         } else {
             return `// BFS Execution Trace
 function bfs(graph, start = '${result[0]}') {
@@ -803,14 +7925,18 @@ function bfs(graph, start = '${result[0]}') {
         }
     }
 
-    updateStepDisplay(step) {
-        // Real-time step updates could go here
-        console.log('Step:', step.message);
+    updateStepDisplay(step, index) {
+        document.querySelectorAll('#stepByStep .step-item').forEach(item => {
+            item.classList.toggle('current', parseInt(item.dataset.step) === index);
+        });
+        document.querySelector(`#stepByStep .step-item[data-step="${index}"]`)?.scrollIntoView({ block: 'nearest' });
     }
 
     reset() {
+        this.player.clear();
         this.graph.reset();
         this.appState.reset();
+        if (this.renderer) this.renderer.showDistances = false;
         this.renderer?.render();
         
         // Clear results
@@ -911,8 +8037,7 @@ function bfs(graph, start = '${result[0]}') {
         const themes = ['cyber', 'neon', 'ocean'];
         const currentIndex = themes.indexOf(this.graph.currentTheme);
         const nextTheme = themes[(currentIndex + 1) % themes.length];
-        this.graph.setTheme(nextTheme);
-        this.renderer?.render();
+        this.applyTheme(nextTheme);
     }
 
     toggleFullscreen() {
@@ -1011,22 +8136,37 @@ function renderGraphTypeDemo(canvasId, type) {
     });
 }
 
-function drawArrow(ctx, from, to, nodeRadius) {
-    const angle = Math.atan2(to.y - from.y, to.x - from.x);
+function quadraticPoint(from, control, to, t) {
+    const u = 1 - t;
+    return {
+        x: u * u * from.x + 2 * u * t * control.x + t * t * to.x,
+        y: u * u * from.y + 2 * u * t * control.y + t * t * to.y
+    };
+}
+
+// A control point bends the shaft into a quadratic curve (parallel edges);
+// the head then follows the curve's tangent at the target
+function drawArrow(ctx, from, to, nodeRadius, headLength = 10, control = null) {
+    const bend = control || to;
+    const startAngle = Math.atan2(bend.y - from.y, bend.x - from.x);
+    const angle = Math.atan2(to.y - (control || from).y, to.x - (control || from).x);
     
-    const startX = from.x + Math.cos(angle) * nodeRadius;
-    const startY = from.y + Math.sin(angle) * nodeRadius;
+    const startX = from.x + Math.cos(startAngle) * nodeRadius;
+    const startY = from.y + Math.sin(startAngle) * nodeRadius;
     const endX = to.x - Math.cos(angle) * nodeRadius;
     const endY = to.y - Math.sin(angle) * nodeRadius;
     
     // Draw line
     ctx.beginPath();
     ctx.moveTo(startX, startY);
-    ctx.lineTo(endX, endY);
+    if (control) {
+        ctx.quadraticCurveTo(control.x, control.y, endX, endY);
+    } else {
+        ctx.lineTo(endX, endY);
+    }
     ctx.stroke();
     
     // Draw arrowhead
-    const headLength = 10;
     const headAngle = Math.PI / 6;
     
     ctx.beginPath();
@@ -1043,10 +8183,544 @@ function drawArrow(ctx, from, to, nodeRadius) {
     ctx.stroke();
 }
 
+// ===== GRID MAZE PATHFINDING =====
+const MAZE_ROWS = 15;
+const MAZE_COLS = 25;
+const MAZE_CELL_SIZE = 28;
+const MAZE_STEP_DELAY = 40;
+
+// Paintable cell kinds; cost is what stepping onto the cell costs
+const MAZE_TERRAIN = {
+    empty: { cost: 1, color: '#1e272e' },
+    mud: { cost: 3, color: '#8d6e63' },
+    water: { cost: 5, color: '#2e86de' },
+    wall: { cost: Infinity, color: '#596275' }
+};
+
+// Distance estimates from a cell to the goal, given the offset in cells
+const MAZE_HEURISTICS = {
+    manhattan: (dx, dy) => dx + dy,
+    euclidean: (dx, dy) => Math.hypot(dx, dy),
+    octile: (dx, dy) => Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy)
+};
+
+const MAZE_STRATEGY_LABELS = {
+    bfs: 'BFS',
+    dijkstra: 'Dijkstra',
+    greedy: 'Greedy best-first',
+    astar: 'A*'
+};
+
+// Cell grid compiled into a ModernGraph on demand: one vertex per open cell
+// and one directed edge per legal move, weighted by the target cell's cost
+class MazeGrid {
+    constructor(rows = MAZE_ROWS, cols = MAZE_COLS) {
+        this.rows = rows;
+        this.cols = cols;
+        this.cells = Array.from({ length: rows }, () => Array(cols).fill('empty'));
+        this.start = { row: Math.floor(rows / 2), col: 1 };
+        this.goal = { row: Math.floor(rows / 2), col: cols - 2 };
+        this.diagonal = false;
+    }
+
+    cellId(row, col) {
+        return `${row},${col}`;
+    }
+
+    parseId(id) {
+        const [row, col] = id.split(',').map(Number);
+        return { row, col };
+    }
+
+    inBounds(row, col) {
+        return row >= 0 && row < this.rows && col >= 0 && col < this.cols;
+    }
+
+    isOpen(row, col) {
+        return this.inBounds(row, col) && this.cells[row][col] !== 'wall';
+    }
+
+    isEndpoint(row, col) {
+        return [this.start, this.goal].some(cell => cell.row === row && cell.col === col);
+    }
+
+    // Returns whether anything changed; start and goal always stay on open ground
+    paint(row, col, tool) {
+        if (!this.inBounds(row, col)) return false;
+        
+        if (tool === 'start' || tool === 'goal') {
+            if (this.isEndpoint(row, col)) return false;
+            
+            this[tool] = { row, col };
+            if (this.cells[row][col] === 'wall') this.cells[row][col] = 'empty';
+            return true;
+        }
+        
+        if (tool === 'wall' && this.isEndpoint(row, col)) return false;
+        if (this.cells[row][col] === tool) return false;
+        
+        this.cells[row][col] = tool;
+        return true;
+    }
+
+    clear() {
+        this.cells.forEach(row => row.fill('empty'));
+    }
+
+    // Recursive backtracker over the odd cells carves a perfect maze; a few
+    // knocked-out walls and terrain patches then give the searches choices
+    carve(random) {
+        this.cells.forEach(row => row.fill('wall'));
+        const lastOdd = (size) => size % 2 === 0 ? size - 3 : size - 2;
+        const stack = [{ row: 1, col: 1 }];
+        this.cells[1][1] = 'empty';
+        
+        while (stack.length > 0) {
+            const { row, col } = stack[stack.length - 1];
+            const options = [[0, 2], [2, 0], [0, -2], [-2, 0]]
+                .map(([dr, dc]) => ({ row: row + dr, col: col + dc, dr, dc }))
+                .filter(next => next.row > 0 && next.row <= lastOdd(this.rows) &&
+                    next.col > 0 && next.col <= lastOdd(this.cols) &&
+                    this.cells[next.row][next.col] === 'wall');
+            
+            if (options.length === 0) {
+                stack.pop();
+                continue;
+            }
+            
+            const next = options[Math.floor(random() * options.length)];
+            this.cells[row + next.dr / 2][col + next.dc / 2] = 'empty';
+            this.cells[next.row][next.col] = 'empty';
+            stack.push({ row: next.row, col: next.col });
+        }
+        
+        for (let i = 0; i < (this.rows * this.cols) / 10; i++) {
+            const row = 1 + Math.floor(random() * (this.rows - 2));
+            const col = 1 + Math.floor(random() * (this.cols - 2));
+            if (this.cells[row][col] === 'wall') {
+                this.cells[row][col] = 'empty';
+            } else {
+                this.cells[row][col] = random() < 0.5 ? 'mud' : 'water';
+            }
+        }
+        
+        this.start = { row: 1, col: 1 };
+        this.goal = { row: lastOdd(this.rows), col: lastOdd(this.cols) };
+    }
+
+    toGraph() {
+        const graph = new ModernGraph({ directed: true });
+        const moves = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+        if (this.diagonal) moves.push([-1, -1], [-1, 1], [1, -1], [1, 1]);
+        
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                if (!this.isOpen(row, col)) continue;
+                graph.addVertex(this.cellId(row, col), {
+                    x: (col + 0.5) * MAZE_CELL_SIZE,
+                    y: (row + 0.5) * MAZE_CELL_SIZE
+                });
+            }
+        }
+        
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                if (!this.isOpen(row, col)) continue;
+                
+                moves.forEach(([dr, dc]) => {
+                    const toRow = row + dr;
+                    const toCol = col + dc;
+                    if (!this.isOpen(toRow, toCol)) return;
+                    
+                    // Diagonal moves may not cut the corner of a wall
+                    const diagonal = dr !== 0 && dc !== 0;
+                    if (diagonal && (!this.isOpen(row + dr, col) || !this.isOpen(row, col + dc))) return;
+                    
+                    const cost = MAZE_TERRAIN[this.cells[toRow][toCol]].cost * (diagonal ? Math.SQRT2 : 1);
+                    graph.addEdge(this.cellId(row, col), this.cellId(toRow, toCol), cost, true);
+                });
+            }
+        }
+        
+        return graph;
+    }
+
+    heuristic(name) {
+        const estimate = MAZE_HEURISTICS[name];
+        return (id) => {
+            const { row, col } = this.parseId(id);
+            return estimate(Math.abs(row - this.goal.row), Math.abs(col - this.goal.col));
+        };
+    }
+
+    search(strategy, heuristicName) {
+        const usesHeuristic = strategy === 'greedy' || strategy === 'astar';
+        return this.toGraph().searchAdvanced(
+            this.cellId(this.start.row, this.start.col),
+            this.cellId(this.goal.row, this.goal.col),
+            strategy,
+            usesHeuristic ? this.heuristic(heuristicName) : () => 0
+        );
+    }
+}
+
+// Editor and player for the maze canvas in the game-development example
+class MazeApp {
+    constructor(canvasId) {
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas.getContext('2d');
+        this.grid = new MazeGrid();
+        this.tool = 'wall';
+        this.isPainting = false;
+        this.lastCell = null;
+        this.currentStep = null;
+        this.player = new StepPlayer(step => this.applyStep(step));
+        this.player.getDelay = () => MAZE_STEP_DELAY;
+        
+        this.setupCanvas();
+        this.setupPainting();
+        this.setupControls();
+        this.draw();
+    }
+
+    setupCanvas() {
+        const pixelRatio = window.devicePixelRatio || 1;
+        this.canvas.width = this.grid.cols * MAZE_CELL_SIZE * pixelRatio;
+        this.canvas.height = this.grid.rows * MAZE_CELL_SIZE * pixelRatio;
+        this.ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    }
+
+    setupPainting() {
+        this.canvas.addEventListener('pointerdown', (e) => {
+            this.isPainting = true;
+            this.lastCell = null;
+            this.canvas.setPointerCapture?.(e.pointerId);
+            this.paintAt(e);
+        });
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (this.isPainting) this.paintAt(e);
+        });
+        ['pointerup', 'pointercancel'].forEach(type => {
+            this.canvas.addEventListener(type, () => {
+                this.isPainting = false;
+            });
+        });
+    }
+
+    // Fast drags skip cells between pointer events, so paint the whole
+    // segment from the previously painted cell
+    paintAt(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const col = Math.floor((e.clientX - rect.left) / rect.width * this.grid.cols);
+        const row = Math.floor((e.clientY - rect.top) / rect.height * this.grid.rows);
+        const from = this.lastCell || { row, col };
+        const count = Math.max(Math.abs(row - from.row), Math.abs(col - from.col));
+        
+        let changed = false;
+        for (let i = 0; i <= count; i++) {
+            const t = count === 0 ? 1 : i / count;
+            const cellRow = Math.round(from.row + (row - from.row) * t);
+            const cellCol = Math.round(from.col + (col - from.col) * t);
+            if (this.grid.paint(cellRow, cellCol, this.tool)) changed = true;
+        }
+        this.lastCell = { row, col };
+        
+        if (changed) {
+            this.clearSearch();
+            this.draw();
+        }
+    }
+
+    setupControls() {
+        document.querySelectorAll('.maze-tool').forEach(button => {
+            button.addEventListener('click', () => {
+                this.tool = button.dataset.tool;
+                document.querySelectorAll('.maze-tool').forEach(other => {
+                    other.classList.toggle('active', other === button);
+                });
+            });
+        });
+        
+        document.getElementById('mazeDiagonal')?.addEventListener('change', (e) => {
+            this.grid.diagonal = e.target.checked;
+            this.clearSearch();
+            this.draw();
+        });
+        document.getElementById('mazeRunBtn')?.addEventListener('click', () => this.run());
+        document.getElementById('mazeCompareBtn')?.addEventListener('click', () => this.compare());
+        document.getElementById('mazeCarveBtn')?.addEventListener('click', () => {
+            this.grid.carve(createRandom(Date.now()));
+            this.clearSearch();
+            this.draw();
+        });
+        document.getElementById('mazeClearBtn')?.addEventListener('click', () => {
+            this.grid.clear();
+            this.clearSearch();
+            this.draw();
+        });
+    }
+
+    run() {
+        const strategy = document.getElementById('mazeStrategy').value;
+        const heuristic = document.getElementById('mazeHeuristic').value;
+        const { path, cost, expanded, steps } = this.grid.search(strategy, heuristic);
+        const label = this.strategyLabel(strategy, heuristic);
+        
+        if (path.length > 0) {
+            this.showMazeMessage(`${label}: mở rộng ${expanded} ô, đường đi ${path.length - 1} bước, chi phí ${+cost.toFixed(2)}`, 'success');
+        } else {
+            this.showMazeMessage(`${label}: không có đường tới đích (đã mở rộng ${expanded} ô)`, 'error');
+        }
+        
+        this.player.load(steps);
+        this.player.play();
+    }
+
+    // Every strategy on the same maze; greedy uses the selected heuristic,
+    // A* is run once per heuristic
+    compare() {
+        const heuristic = document.getElementById('mazeHeuristic').value;
+        const runs = [
+            ['bfs'],
+            ['dijkstra'],
+            ['greedy', heuristic],
+            ...Object.keys(MAZE_HEURISTICS).map(name => ['astar', name])
+        ];
+        const rows = runs.map(([strategy, name]) => {
+            const { path, cost, expanded } = this.grid.search(strategy, name);
+            return {
+                label: this.strategyLabel(strategy, name),
+                expanded,
+                length: path.length > 0 ? path.length - 1 : '—',
+                cost: path.length > 0 ? +cost.toFixed(2) : '∞'
+            };
+        });
+        
+        document.getElementById('mazeComparison').innerHTML = `
+            <table class="distance-table">
+                <tr><th>Thuật toán</th><th>Ô đã mở rộng</th><th>Số bước</th><th>Chi phí</th></tr>
+                ${rows.map(row => `
+                    <tr><td>${row.label}</td><td>${row.expanded}</td><td>${row.length}</td><td>${row.cost}</td></tr>
+                `).join('')}
+            </table>
+        `;
+    }
+
+    strategyLabel(strategy, heuristic) {
+        const label = MAZE_STRATEGY_LABELS[strategy];
+        return strategy === 'greedy' || strategy === 'astar' ? `${label} (${heuristic})` : label;
+    }
+
+    clearSearch() {
+        this.player.clear();
+        this.currentStep = null;
+    }
+
+    applyStep(step) {
+        this.currentStep = step;
+        this.draw();
+    }
+
+    draw() {
+        const size = MAZE_CELL_SIZE;
+        const open = new Set(this.currentStep?.openState);
+        const closed = new Set(this.currentStep?.closedState);
+        
+        this.ctx.fillStyle = '#0a0a0a';
+        this.ctx.fillRect(0, 0, this.grid.cols * size, this.grid.rows * size);
+        
+        for (let row = 0; row < this.grid.rows; row++) {
+            for (let col = 0; col < this.grid.cols; col++) {
+                const id = this.grid.cellId(row, col);
+                this.ctx.fillStyle = MAZE_TERRAIN[this.grid.cells[row][col]].color;
+                this.ctx.fillRect(col * size + 1, row * size + 1, size - 2, size - 2);
+                
+                if (closed.has(id) || open.has(id)) {
+                    this.ctx.fillStyle = closed.has(id) ? 'rgba(155, 89, 182, 0.5)' : 'rgba(243, 156, 18, 0.6)';
+                    this.ctx.fillRect(col * size + 1, row * size + 1, size - 2, size - 2);
+                }
+            }
+        }
+        
+        const path = this.currentStep?.path || [];
+        if (path.length > 1) {
+            this.ctx.strokeStyle = '#fbc531';
+            this.ctx.lineWidth = 4;
+            this.ctx.lineJoin = 'round';
+            this.ctx.beginPath();
+            path.forEach((id, index) => {
+                const { row, col } = this.grid.parseId(id);
+                const x = (col + 0.5) * size;
+                const y = (row + 0.5) * size;
+                if (index === 0) this.ctx.moveTo(x, y);
+                else this.ctx.lineTo(x, y);
+            });
+            this.ctx.stroke();
+        }
+        
+        if (this.currentStep?.node && !this.currentStep.path) {
+            const { row, col } = this.grid.parseId(this.currentStep.node);
+            this.ctx.strokeStyle = '#ffffff';
+            this.ctx.lineWidth = 2;
+            this.ctx.strokeRect(col * size + 1, row * size + 1, size - 2, size - 2);
+        }
+        
+        [[this.grid.start, '#2ecc71', 'S'], [this.grid.goal, '#e74c3c', 'G']].forEach(([{ row, col }, color, label]) => {
+            this.ctx.fillStyle = color;
+            this.ctx.beginPath();
+            this.ctx.arc((col + 0.5) * size, (row + 0.5) * size, size / 2 - 4, 0, 2 * Math.PI);
+            this.ctx.fill();
+            
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.font = 'bold 13px Inter';
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText(label, (col + 0.5) * size, (row + 0.5) * size);
+        });
+    }
+
+    showMazeMessage(message, type) {
+        const messageDiv = document.getElementById('mazeMessage');
+        if (!messageDiv) return;
+        
+        messageDiv.textContent = message;
+        messageDiv.className = `io-message ${type}`;
+    }
+}
+
+// ===== BENCHMARKS =====
+// Run from the browser console: benchmarkDijkstra()
+function generateBenchmarkGraph(vertexCount, edgesPerVertex = 4) {
+    const graph = new ModernGraph();
+    const labels = Array.from({ length: vertexCount }, (_, i) => `V${i}`);
+    
+    labels.forEach(label => graph.addVertex(label, { x: 0, y: 0 }));
+    
+    // A random spanning path keeps the graph connected
+    for (let i = 1; i < vertexCount; i++) {
+        graph.addEdge(labels[i - 1], labels[i], 1 + Math.floor(Math.random() * 20));
+    }
+    for (let i = 0; i < vertexCount * (edgesPerVertex - 1); i++) {
+        const from = labels[Math.floor(Math.random() * vertexCount)];
+        const to = labels[Math.floor(Math.random() * vertexCount)];
+        if (from !== to) graph.addEdge(from, to, 1 + Math.floor(Math.random() * 20));
+    }
+    
+    return graph;
+}
+
+// The original array + sort() queue, kept only as a baseline to compare against
+function sortQueueDijkstra(graph, start) {
+    const distances = new Map(Object.keys(graph.adjacencyList).map(vertex => [vertex, Infinity]));
+    const visited = new Set();
+    const queue = [{ node: start, distance: 0 }];
+    distances.set(start, 0);
+    
+    while (queue.length > 0) {
+        queue.sort((a, b) => a.distance - b.distance);
+        const { node, distance } = queue.shift();
+        if (visited.has(node)) continue;
+        visited.add(node);
+        
+        for (const edge of graph.adjacencyList[node]) {
+            const newDist = distance + edge.weight;
+            if (newDist < distances.get(edge.node)) {
+                distances.set(edge.node, newDist);
+                queue.push({ node: edge.node, distance: newDist });
+            }
+        }
+    }
+    
+    return distances;
+}
+
+function benchmarkDijkstra(sizes = [500, 1000, 2000, 4000]) {
+    const rows = [];
+    
+    for (const size of sizes) {
+        const graph = generateBenchmarkGraph(size);
+        
+        let time = performance.now();
+        const { distances } = graph.dijkstra('V0');
+        const heapTime = performance.now() - time;
+        
+        time = performance.now();
+        const baseline = sortQueueDijkstra(graph, 'V0');
+        const sortTime = performance.now() - time;
+        
+        const agrees = [...distances].every(([vertex, distance]) => baseline.get(vertex) === distance);
+        
+        rows.push({
+            vertices: size,
+            edges: graph.edges.length,
+            'heap (ms)': heapTime.toFixed(1),
+            'sort (ms)': sortTime.toFixed(1),
+            speedup: `${(sortTime / heapTime).toFixed(1)}x`,
+            agrees
+        });
+    }
+    
+    console.table(rows);
+    return rows;
+}
+
+// Frame times of the canvas renderer while panning, at two zoom levels so
+// both level-of-detail paths are measured. Used by benchmark.html, or from
+// the console: benchmarkRendering('graphCanvas')
+async function benchmarkRendering(canvasId, sizes = [1000, 5000, 10000], frames = 60) {
+    const renderer = new GraphRenderer(canvasId, new ModernGraph());
+    const nextFrame = () => new Promise(resolve => requestAnimationFrame(resolve));
+    const rows = [];
+    
+    for (const size of sizes) {
+        const graph = generateBenchmarkGraph(size, 2);
+        const area = { x: 0, y: 0, width: Math.sqrt(size) * 120, height: Math.sqrt(size) * 80 };
+        GraphLayout.grid([...graph.nodes.keys()], null, area).forEach((position, id) => {
+            graph.nodes.get(id).position = position;
+        });
+        renderer.graph = graph;
+        
+        for (const [view, setView] of [['zoomed out', () => renderer.fitToGraph()], ['1x', () => renderer.center()]]) {
+            setView();
+            const times = [];
+            for (let frame = 0; frame < frames; frame++) {
+                renderer.offset.x -= 2;
+                renderer.draw();
+                times.push(renderer.lastFrameTime);
+                await nextFrame();
+            }
+            times.sort((a, b) => a - b);
+            const mean = times.reduce((sum, time) => sum + time, 0) / times.length;
+            
+            let time = performance.now();
+            for (let i = 0; i < 1000; i++) {
+                renderer.getNodeAt(Math.random() * area.width, Math.random() * area.height);
+            }
+            const hitTest = (performance.now() - time) / 1000;
+            
+            rows.push({
+                nodes: size,
+                edges: graph.edges.length,
+                view,
+                'mean (ms)': mean.toFixed(2),
+                'p95 (ms)': times[Math.floor(times.length * 0.95)].toFixed(2),
+                'hit test (µs)': (hitTest * 1000).toFixed(1)
+            });
+        }
+    }
+    
+    console.table(rows);
+    return rows;
+}
+
 // ===== INITIALIZE APPLICATION =====
 let app;
+let mazeApp;
 
 document.addEventListener('DOMContentLoaded', function() {
+    // Pages without the demo canvas (benchmark.html) only use the classes
+    if (!document.getElementById('graphCanvas')) return;
+    
     // Initialize AOS (Animate On Scroll)
     if (typeof AOS !== 'undefined') {
         AOS.init({
@@ -1059,6 +8733,11 @@ document.addEventListener('DOMContentLoaded', function() {
     // Initialize main application
     app = new GraphApp();
     
+    // Grid maze in the game-development example
+    if (document.getElementById('mazeCanvas')) {
+        mazeApp = new MazeApp('mazeCanvas');
+    }
+    
     // Render demo graphs
     setTimeout(() => {
         renderGraphTypeDemo('undirected-demo', 'undirected');
@@ -1339,37 +9018,10 @@ function findShortestPath(graph, start, end) {
     return null; // No path found
 }
 
+// The recursion-stack version reported every undirected edge as a cycle and
+// read adjacency entries as strings; ModernGraph.findCycle handles both kinds
 function detectCycle(graph) {
-    const visited = new Set();
-    const recursionStack = new Set();
-    
-    function hasCycleDFS(vertex) {
-        visited.add(vertex);
-        recursionStack.add(vertex);
-        
-        for (let neighbor of graph.adjacencyList[vertex]) {
-            if (!visited.has(neighbor)) {
-                if (hasCycleDFS(neighbor)) {
-                    return true;
-                }
-            } else if (recursionStack.has(neighbor)) {
-                return true;
-            }
-        }
-        
-        recursionStack.delete(vertex);
-        return false;
-    }
-    
-    for (let vertex in graph.adjacencyList) {
-        if (!visited.has(vertex)) {
-            if (hasCycleDFS(vertex)) {
-                return true;
-            }
-        }
-    }
-    
-    return false;
+    return graph.findCycle() !== null;
 }
 
 // Example usage of advanced algorithms